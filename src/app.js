@@ -0,0 +1,95 @@
+'use strict'
+
+
+
+// apps currently creating components, with the component creating them (the last one is active)
+const ACTIVE_APPS = []
+
+let appCounter = 0
+
+/**
+ * create the bookkeeping for one running app
+ *
+ * @param {Object} options app options
+ * @param {String} options.name name used in log messages
+ * @param {Function|Object|Array} options.actionMiddleware action middleware for every component in the app
+ * @param {String} options.stateSourceName name of the state source components in the app use by default
+ * @return {Object} app with `id`, `name`, `actionMiddleware`, `stateSourceName`, `root`, `components`, `disposed` and `onDispose()` and `dispose()` methods
+ *
+ * every component created while the app is active is added to `components`
+ * the first top level component (one that isn't a sub-component) becomes the app's `root`
+ * `onDispose(fn)` adds a function to call when the app is disposed (ex. to remove listeners added by wrappers like withPersistence())
+ * `dispose()` tears down every component in the app, and is safe to call more than once
+ */
+export function createApp(options={}) {
+  appCounter++
+  const { name = `app-${ appCounter }`, actionMiddleware, stateSourceName } = options
+  const cleanups = []
+
+  const app = {
+    id:         appCounter,
+    name,
+    actionMiddleware,
+    stateSourceName,
+    root:       null,
+    components: new Set(),
+    disposed:   false,
+    onDispose: (fn) => {
+      if (app.disposed) return fn()
+      cleanups.push(fn)
+    },
+    dispose: () => {
+      if (app.disposed) return
+      app.disposed = true
+      app.components.forEach(component => component.dispose())
+      app.components.clear()
+      app.root = null
+      cleanups.splice(0).forEach(fn => fn())
+    }
+  }
+
+  return app
+}
+
+/**
+ * get the app components are currently being created for
+ *
+ * @return {Object} the active app, or `undefined` outside of runInApp()
+ */
+export function activeApp() {
+  const active = ACTIVE_APPS[ACTIVE_APPS.length - 1]
+  return active && active.app
+}
+
+/**
+ * get the component currently creating components
+ *
+ * @return {Object} the component passed to the innermost runInApp(), or `undefined` if there isn't one
+ *
+ * used to create components later on behalf of the component that set things up (ex. collection items)
+ */
+export function activeCreator() {
+  const active = ACTIVE_APPS[ACTIVE_APPS.length - 1]
+  return active && active.creator
+}
+
+/**
+ * run a function with an app active
+ *
+ * @param {Object} app app created with createApp()
+ * @param {Function} fn function to run (ex. one that creates components)
+ * @param {Object} creator component doing the creating (if any)
+ * @return {Any} whatever `fn` returns
+ *
+ * components created synchronously inside `fn` join the app
+ */
+export function runInApp(app, fn, creator) {
+  const active = { app, creator }
+  ACTIVE_APPS.push(active)
+  try {
+    return fn()
+  } finally {
+    const index = ACTIVE_APPS.lastIndexOf(active)
+    if (index !== -1) ACTIVE_APPS.splice(index, 1)
+  }
+}
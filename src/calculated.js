@@ -0,0 +1,203 @@
+'use strict'
+
+
+
+// recompute counts for every component with calculated fields, keyed by component name
+const REPORT = {}
+
+const CYCLE_ERROR = '~#~#~CALCULATED_CYCLE~#~#~'
+
+/**
+ * create a function that adds memoized calculated fields to state
+ *
+ * @param {Object} definitions maps field names to calculator functions, or to `{ deps, fn }` objects
+ * @param {Object} options calculator options
+ * @param {String} options.name name used for this calculator in calculatedReport()
+ * @param {Function} options.onError called with `(field, error)` when a calculator function throws
+ * @param {Function} options.onCompute called with `(field, stats)` each time a field is recomputed
+ * @return {Function} function that takes state and returns an object with the calculated values
+ *
+ * a calculated field is only recomputed when the top level state fields it depends on change (compared by reference)
+ * dependencies are tracked automatically from the fields the function reads, or can be declared with `deps`
+ * calculated fields can read other calculated fields, circular dependencies throw an error
+ */
+export default function makeCalculator(definitions, options={}) {
+  const { name = 'NO NAME', onError, onCompute } = options
+
+  if (!definitions || typeof definitions !== 'object') throw new Error(`'calculated' parameter must be an object mapping calculated state field named to functions`)
+
+  const fields = Object.entries(definitions).reduce((acc, [field, definition]) => {
+    const { fn, deps } = (typeof definition === 'function') ? { fn: definition } : (definition || {})
+    if (typeof fn !== 'function') throw new Error(`Missing or invalid calculator function for calculated field '${ field }`)
+    if (typeof deps !== 'undefined' && (!Array.isArray(deps) || deps.some(dep => typeof dep !== 'string'))) {
+      throw new Error(`Dependencies for calculated field '${ field }' must be an array of state field names`)
+    }
+    acc[field] = { fn, deps }
+    return acc
+  }, {})
+
+  checkDeclaredCycles(fields)
+
+  const stats = REPORT[name] || (REPORT[name] = {})
+  Object.keys(fields).forEach(field => {
+    if (!stats[field]) stats[field] = { recomputed: 0, cached: 0, deps: [] }
+  })
+
+  const cache = {}
+
+  return function calculate(state) {
+    const results   = {}
+    const failed    = new Set()
+    const computing = []
+
+    const read = (key) => (key in fields) ? compute(key) : state[key]
+
+    const isFresh = (entry) => {
+      if (entry.all) return entry.state === state
+      for (const [key, value] of entry.deps) {
+        if (!Object.is(read(key), value)) return false
+      }
+      return true
+    }
+
+    const compute = (field) => {
+      if (field in results) return results[field]
+      if (computing.includes(field)) {
+        const cycle = [ ...computing.slice(computing.indexOf(field)), field ].join(' -> ')
+        throw Object.assign(new Error(`Circular dependency between calculated fields: ${ cycle }`), { code: CYCLE_ERROR })
+      }
+
+      const { fn, deps } = fields[field]
+      const stat = stats[field]
+      computing.push(field)
+      try {
+        const cached = cache[field]
+        if (cached && isFresh(cached)) {
+          stat.cached++
+          if (cached.failed) failed.add(field)
+          results[field] = cached.value
+          return cached.value
+        }
+
+        const tracker = trackReads(state, fields, read, key => computing.includes(key))
+        let value
+        try {
+          value = fn(tracker.proxy)
+        } catch(err) {
+          if (err && err.code === CYCLE_ERROR) throw err
+          if (typeof onError === 'function') onError(field, err)
+          failed.add(field)
+          value = undefined
+        }
+
+        const used = deps ? new Map(deps.map(dep => [dep, read(dep)])) : tracker.used
+        cache[field]   = { value, state, all: !deps && tracker.all, deps: used, failed: failed.has(field) }
+        stat.recomputed++
+        stat.deps      = (!deps && tracker.all) ? ['*'] : [ ...used.keys() ]
+        results[field] = value
+        if (typeof onCompute === 'function') onCompute(field, stat)
+        return value
+      } finally {
+        computing.pop()
+      }
+    }
+
+    Object.keys(fields).forEach(compute)
+
+    // fields that threw are left out, like they were never calculated
+    // while fields returning undefined are kept, so they replace values stored in state
+    return Object.entries(results).reduce((acc, [field, value]) => {
+      if (!failed.has(field)) acc[field] = value
+      return acc
+    }, {})
+  }
+}
+
+/**
+ * get recompute counts for calculated fields
+ *
+ * @return {Object} maps component names to `{ [field]: { recomputed, cached, deps } }`
+ *
+ * counts are combined for all instances of a component with the same name
+ */
+export function calculatedReport() {
+  return Object.entries(REPORT).reduce((acc, [name, fields]) => {
+    acc[name] = Object.entries(fields).reduce((acc, [field, stat]) => {
+      acc[field] = { ...stat, deps: [ ...stat.deps ] }
+      return acc
+    }, {})
+    return acc
+  }, {})
+}
+
+
+
+/**
+ * wrap state in a proxy that records which top level fields are read
+ *
+ * @param {Object} state current state
+ * @param {Object} fields calculated field definitions
+ * @param {Function} read returns the value of a field (computing calculated fields as needed)
+ * @param {Function} isComputing returns whether a calculated field is currently being computed
+ * @return {Object} `{ proxy, used, all }` where `all` is set if the function looked at every key (ex. by spreading state)
+ *
+ * looking at every key (ex. spreading state) includes the other calculated fields,
+ * but not the ones being computed since that would be circular
+ */
+function trackReads(state, fields, read, isComputing) {
+  const tracker = { used: new Map(), all: false }
+  const isCalculated = (key) => typeof key === 'string' && key in fields && !isComputing(key)
+
+  tracker.proxy = new Proxy(state, {
+    get: (target, key) => {
+      if (typeof key !== 'string') return target[key]
+      const value = read(key)
+      tracker.used.set(key, value)
+      return value
+    },
+    has: (target, key) => {
+      if (typeof key === 'string') tracker.used.set(key, read(key))
+      return isCalculated(key) || key in target
+    },
+    ownKeys: (target) => {
+      tracker.all = true
+      const keys = Reflect.ownKeys(target)
+      if (!Object.isExtensible(target)) return keys
+      return [ ...new Set([ ...keys, ...Object.keys(fields).filter(isCalculated) ]) ]
+    },
+    getOwnPropertyDescriptor: (target, key) => {
+      if (isCalculated(key) && Object.isExtensible(target)) {
+        const descriptor = Reflect.getOwnPropertyDescriptor(target, key)
+        if (!descriptor || descriptor.configurable) return { value: read(key), writable: true, enumerable: true, configurable: true }
+      }
+      return Reflect.getOwnPropertyDescriptor(target, key)
+    }
+  })
+
+  return tracker
+}
+
+/**
+ * throw if declared dependencies between calculated fields form a cycle
+ *
+ * @param {Object} fields calculated field definitions
+ */
+function checkDeclaredCycles(fields) {
+  const visiting = []
+  const done     = new Set()
+
+  const visit = (field) => {
+    if (done.has(field)) return
+    if (visiting.includes(field)) {
+      const cycle = [ ...visiting.slice(visiting.indexOf(field)), field ].join(' -> ')
+      throw new Error(`Circular dependency between calculated fields: ${ cycle }`)
+    }
+    visiting.push(field)
+    const deps = fields[field].deps || []
+    deps.filter(dep => dep in fields).forEach(visit)
+    visiting.pop()
+    done.add(field)
+  }
+
+  Object.keys(fields).forEach(visit)
+}
@@ -2,15 +2,48 @@
 
 import isolate from '@cycle/isolate'
 import { makeCollection } from '@cycle/state'
+import { activeCreator } from './app.js'
 
 
 
-export default function collection(component, stateLense, combineList=['DOM'], globalList=['EVENTS'], stateSourceName='STATE') {
+// events sent to this sink by an item are tagged with the item's key (see component.js)
+const EMIT_SINK = 'EMIT'
+
+/**
+ * create a component that renders a copy of `component` for each item in an array in state
+ *
+ * @param {Function} component component to create for each item
+ * @param {String|Object} stateLense isolation scope or lense pointing to the array in state
+ * @param {Array} combineList sinks to combine into arrays (ex. DOM)
+ * @param {Array} globalList sources that should not be isolated for each item
+ * @param {String} stateSourceName name of the state source
+ * @param {Object} options collection options
+ * @param {Function} options.itemKey returns a unique key for an item (defaults to `item.id`, falling back to the array index)
+ * @param {Function} options.itemScope returns the isolation scope for an item's non-state sources from its key
+ * @param {Function} options.filter only items this returns true for are shown
+ * @param {Function} options.sort compare function used to order the shown items
+ * @return {Function} cycle component
+ *
+ * filtered and sorted items still write back to the right item in the original array (matched by `itemKey`),
+ * so `itemKey` should return something stable (not the index) when using `filter` or `sort`
+ * items remove themselves from the array when a reducer returns `undefined`
+ */
+export default function collection(component, stateLense, combineList=['DOM'], globalList=['EVENTS'], stateSourceName='STATE', options={}) {
+  const { itemKey=defaultItemKey, itemScope=key => key, filter, sort } = options
+
   return (sources) => {
+    // items are created later, as they're added to the list, so the component setting up the collection creates them
+    const creator = activeCreator()
+    const item    = creator ? creator.instantiateItem(component, creator.collectionItems) : component
+
     const collectionOpts = {
-      item:         component,
-      itemKey:      state => state.id,
-      itemScope:    key => key,
+      // events an item emits carry its key so the parent can tell the items apart
+      itemFactory:  (state, index) => {
+        const key = itemKey(state, index)
+        return sources => withItemKey(item(sources), key)
+      },
+      itemKey,
+      itemScope,
       channel:      stateSourceName,
       collectSinks: instances => {
         return Object.entries(sources).reduce((acc, [name, stream]) => {
@@ -29,7 +62,13 @@ export default function collection(component, stateLense, combineList=['DOM'], g
     globalList.forEach(global => isolateOpts[global] = null)
     combineList.forEach(combine => isolateOpts[combine] = null)
 
-    return makeIsolatedCollection(collectionOpts, isolateOpts, sources)
+    if (typeof filter !== 'function' && typeof sort !== 'function') {
+      return makeIsolatedCollection(collectionOpts, isolateOpts, sources)
+    }
+
+    // show a filtered and/or sorted copy of the array while writing changes back to the original
+    const viewIsolateOpts = { [stateSourceName]: makeViewLense(itemKey, filter, sort), '*': null }
+    return isolate(isolate(makeCollection(collectionOpts), viewIsolateOpts), isolateOpts)(sources)
   }
 }
 
@@ -45,3 +84,68 @@ export default function collection(component, stateLense, combineList=['DOM'], g
  function makeIsolatedCollection (collectionOpts, isolateOpts, sources) {
   return isolate(makeCollection(collectionOpts), isolateOpts)(sources)
 }
+
+function withItemKey(sinks, key) {
+  if (!sinks || !sinks[EMIT_SINK]) return sinks
+  return { ...sinks, [EMIT_SINK]: sinks[EMIT_SINK].map(event => ({ ...event, itemKey: key })) }
+}
+
+function defaultItemKey(item, index) {
+  return (item && typeof item.id !== 'undefined') ? item.id : index
+}
+
+/**
+ * create a lense that shows a filtered and sorted view of an array
+ *
+ * @param {Function} itemKey returns a unique key for an item
+ * @param {Function} filter only items this returns true for are shown
+ * @param {Function} sort compare function used to order the shown items
+ * @return {Object} lense with `get` and `set`
+ *
+ * `set` replaces shown items by key, removes shown items missing from the new view,
+ * leaves hidden items untouched, and appends any new items
+ */
+function makeViewLense(itemKey, filter, sort) {
+  const keyOf = (item, index) => `${ itemKey(item, index) }`
+
+  const visibleEntries = (arr) => {
+    const entries  = arr.map((item, index) => ({ item, index }))
+    const filtered = (typeof filter === 'function') ? entries.filter(({ item, index }) => filter(item, index)) : entries
+    return (typeof sort === 'function') ? filtered.sort((a, b) => sort(a.item, b.item)) : filtered
+  }
+
+  return {
+    get: (arr) => {
+      if (!Array.isArray(arr)) return arr
+      return visibleEntries(arr).map(({ item }) => item)
+    },
+    set: (arr, view) => {
+      if (!Array.isArray(arr) || !Array.isArray(view)) return view
+
+      const visibleKeys = visibleEntries(arr).reduce((acc, { item, index }, viewIndex) => {
+        acc.set(index, keyOf(item, viewIndex))
+        return acc
+      }, new Map())
+
+      const updates = view.reduce((acc, item, viewIndex) => {
+        acc.set(keyOf(item, viewIndex), item)
+        return acc
+      }, new Map())
+
+      const updated = arr.reduce((acc, item, index) => {
+        if (!visibleKeys.has(index)) {
+          acc.push(item)
+          return acc
+        }
+        const key = visibleKeys.get(index)
+        if (updates.has(key)) {
+          acc.push(updates.get(key))
+          updates.delete(key)
+        }
+        return acc
+      }, [])
+
+      return [ ...updated, ...updates.values() ]
+    }
+  }
+}
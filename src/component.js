@@ -2,6 +2,15 @@
 
 import isolate from '@cycle/isolate'
 import collection from './collection.js'
+import switchable from './switchable.js'
+import makeCalculator from './calculated.js'
+import { createApp, activeApp, runInApp } from './app.js'
+import { validateSchema, applyDefaults, IS_DEVELOPMENT } from './schema.js'
+import makeContextSource, { trackContext } from './context.js'
+import makeTimers, { withModifiers } from './timers.js'
+import { noteReducer } from './extra/history.js'
+import { findRoute } from './extra/routerDriver.js'
+import { logger as defaultLogger } from './extra/logger.js'
 import { StateSource } from '@cycle/state'
 
 import { default as xs, Stream } from 'xstream'
@@ -9,6 +18,7 @@ import { default as delay } from 'xstream/extra/delay.js'
 import { default as concat } from 'xstream/extra/concat.js'
 import debounce from 'xstream/extra/debounce.js'
 import { default as dropRepeats } from 'xstream/extra/dropRepeats.js'
+import { default as flattenConcurrently } from 'xstream/extra/flattenConcurrently.js'
 
 
 // import syntax has bugs for xstream in Node context
@@ -22,20 +32,57 @@ import { default as dropRepeats } from 'xstream/extra/dropRepeats.js'
 // const delay  = (Delay && Delay.default) ? Delay.default : Delay
 // const dropRepeats = (DropRepeats && DropRepeats.default) ? DropRepeats.default : DropRepeats
 
-const ENVIRONMENT = ((typeof window != 'undefined' && window) || (process && process.env)) || {}
-
-
 const REQUEST_SELECTOR_METHOD = 'request'
 const BOOTSTRAP_ACTION        = 'BOOTSTRAP'
 const INITIALIZE_ACTION       = 'INITIALIZE'
 const HYDRATE_ACTION          = 'HYDRATE'
-
-
-let IS_ROOT_COMPONENT = true
-
+const ROUTE_ACTION            = 'ROUTE'
+const ERROR_ACTION            = 'ERROR'
+const COMPONENT_ERROR_ACTION  = 'COMPONENT_ERROR'
+const MOUNT_ACTION            = 'MOUNT'
+const UNMOUNT_ACTION          = 'UNMOUNT'
+const PROPS_CHANGED_ACTION    = 'PROPS_CHANGED'
+const RETRY_ACTION            = 'RETRY'
+const EMIT_SINK               = 'EMIT'
+const ROUTE_VIEW_NAME         = 'page'
+const NO_ROUTE                = '~#~#~NO_ROUTE~#~#~'
+const ERROR_COMMAND           = 'error'
+const REQUEST_TIMEOUT         = 30000
+
+
+// set while components are being created so their instances can be captured (see captureComponent())
+let CAPTURE = null
+
+// components already warned about state reducers that are ignored (see warnIgnoredReducers() and findStateField())
+const WARNED_IGNORED = new Set()
 
 export const ABORT = '~#~#~ABORT~#~#~'
 
+/**
+ * run a function that creates components and capture the Component instances it creates
+ *
+ * @param {Function} fn function that creates components (ex. calls a component factory with sources)
+ * @param {Component} previous instance the first new one replaces (it keeps its state and sub-components)
+ * @param {Component} parent component creating them (defaults to the one creating the surrounding capture, if any)
+ * @return {Object} `{ sinks, instance, instances }` where `sinks` is whatever `fn` returns and `instance` is the first instance
+ *
+ * only the outermost instances are captured, children they create while setting up belong to them
+ * used to unmount sub-components and by hot() to swap component definitions in a running app
+ */
+export function captureComponent(fn, previous, parent) {
+  const outer   = CAPTURE
+  const capture = { previous, parent: parent || (outer && outer.parent), instances: [] }
+  CAPTURE = capture
+  try {
+    const sinks = fn()
+    return { sinks, instance: capture.instances[0], instances: capture.instances }
+  } finally {
+    CAPTURE = outer
+    // a capture inside another one (ex. a hot() component used as a sub-component) is seen by both
+    if (outer) outer.instances.push(...capture.instances)
+  }
+}
+
 export default function component (opts) {
   const { name, sources, isolateOpts, stateSourceName='STATE' } = opts
 
@@ -56,15 +103,30 @@ export default function component (opts) {
 
   const currySources = typeof sources === 'undefined'
 
+  let factory
   if (typeof fixedIsolateOpts == 'object') {
+    // isolation creates a new state source, so pass on the flag marking state restored from a snapshot
+    let hydrated = false
     const wrapped = (sources) => {
       const fixedOpts = { ...opts, sources }
+      if (hydrated && sources[stateSourceName]) sources[stateSourceName].hydrated = true
       return (new Component(fixedOpts)).sinks
     }
-    return currySources ? isolate(wrapped, fixedIsolateOpts) : isolate(wrapped, fixedIsolateOpts)(sources)
+    const isolated = isolate(wrapped, fixedIsolateOpts)
+    const withFlags = (sources) => {
+      hydrated = !!(sources && sources[stateSourceName] && sources[stateSourceName].hydrated)
+      return isolated(sources)
+    }
+    if (!currySources) return withFlags(sources)
+    factory = withFlags
   } else {
-    return currySources ? (sources) => (new Component({ ...opts, sources })).sinks : (new Component(opts)).sinks
+    if (!currySources) return (new Component(opts)).sinks
+    factory = (sources) => (new Component({ ...opts, sources })).sinks
   }
+
+  // lets hot() tell components declared in the same module apart
+  factory.componentName = name
+  return factory
 }
 
 
@@ -77,24 +139,67 @@ class Component {
   // sources
   // intent
   // request
+  // requestTimeout
+  // middleware
+  // actionMiddleware
   // model
   // response
   // view
   // children
+  // components
+  // routes
   // initialState
   // calculated
   // storeCalculatedInState
+  // stateSchema
+  // propsSchema
+  // actions
+  // context
+  // timers
+  // onError
+  // fallback
+  // asyncStatusField
   // DOMSourceName
   // stateSourceName
   // requestSourceName
+  // routerSourceName
+  // logSourceName
+  // contextSourceName
+  // logger
 
   // [ PRIVATE / CALCULATED VALUES ]
+  // app
+  // isRoot
+  // previous
+  // replacedBy
+  // parent
+  // isBoundary
+  // failure
+  // failure$
+  // owned
+  // collectionItems
+  // mounted
+  // unmounted
+  // subComponents
+  // subComponentSubscription
+  // childStreams$
+  // childEvent$
   // sourceNames
   // intent$
+  // route$
+  // routeSinks
   // action$
   // model$
   // response$
   // sendResponse$
+  // directResponse$
+  // pendingRequests
+  // failedRequests
+  // asyncStatus$
+  // calculator
+  // actionContext
+  // asyncTasks
+  // stopTimers
   // children$
   // vdom$
   // subComponentSink$
@@ -102,62 +207,159 @@ class Component {
   // [ INSTANTIATED STREAM OPERATOR ]
   // log
 
+  // [ LOGGER FOR THIS COMPONENT ]
+  // logger
+
   // [ OUTPUT ]
   // sinks
 
-  constructor({ name='NO NAME', sources, intent, request, model, response, view, children={}, components={}, initialState, calculated, storeCalculatedInState=true, DOMSourceName='DOM', stateSourceName='STATE', requestSourceName='HTTP' }) {
+  constructor({ name='NO NAME', sources, intent, request, requestTimeout=REQUEST_TIMEOUT, middleware, actionMiddleware, model, response, view, children={}, components={}, routes, initialState, calculated, storeCalculatedInState=true, stateSchema, propsSchema, actions, context, timers, onError, fallback, asyncStatusField='asyncStatus', DOMSourceName='DOM', stateSourceName=appStateSourceName(), requestSourceName='HTTP', routerSourceName='ROUTER', logSourceName='LOG', contextSourceName='CONTEXT', logger=defaultLogger }) {
     if (!sources || typeof sources != 'object') throw new Error('Missing or invalid sources')
 
+    const capture = CAPTURE
+    if (capture) capture.instances.push(this)
+    this.previous = (capture && capture.instances[0] === this) ? capture.previous : undefined
+    if (this.previous) this.previous.replacedBy = this
+    // errors are passed up to the closest error boundary through the components that created each other
+    this.parent = this.previous ? this.previous.parent : (capture && capture.parent)
+
     this.name       = name
     this.sources    = sources
     this.intent     = intent
     this.request    = request
-    this.model      = model
+    this.requestTimeout = requestTimeout
+    this.middleware = middleware
+    // copied so defaults added in initState() stay with this instance
+    this.model      = model && { ...model }
     this.response   = response
     this.view       = view
     this.children   = children
     this.components = components
+    this.routes     = routes
     this.initialState      = initialState
     this.calculated        = calculated
     this.storeCalculatedInState = storeCalculatedInState
+    this.stateSchema       = stateSchema
+    this.propsSchema       = propsSchema
+    this.actions           = actions
+    this.context           = context
+    this.timers            = timers
+    this.onError           = onError
+    this.fallback          = fallback
+    this.asyncStatusField  = asyncStatusField
+    this.asyncTasks        = {}
+    this.pendingRequests   = {}
+    this.failedRequests    = {}
+    this.directResponse$    = xs.create()
     this.DOMSourceName     = DOMSourceName
     this.stateSourceName   = stateSourceName
     this.requestSourceName = requestSourceName
+    this.routerSourceName  = routerSourceName
+    this.logSourceName     = logSourceName
+    this.contextSourceName = contextSourceName
+    this.logger            = logger.child({ component: name })
     this.sourceNames       = Object.keys(sources)
 
     this.isSubComponent = this.sourceNames.includes('props$')
+    this.isHydrated     = !!(sources[stateSourceName] && sources[stateSourceName].hydrated)
+    this.stateHydrate$  = sources[stateSourceName] && sources[stateSourceName].hydrate$
 
     const state$ = sources[stateSourceName] && sources[stateSourceName].stream
 
+    if (this.isSubComponent && this.propsSchema) this.initProps$()
+
     if (state$) {
-      this.currentState = initialState || {}
+      // sub-component state is built from props, so missing props get their defaults there too
+      const withDefaults = (this.isSubComponent && this.propsSchema) ? val => applyDefaults(this.propsSchema, val) : val => val
+      this.currentState = this.previous ? this.previous.currentState : (initialState || {})
       this.sources[this.stateSourceName] = new StateSource(state$.map(val => {
-        this.currentState = val
-        return val
+        this.currentState = withDefaults(val)
+        return this.currentState
       }))
+      // children keep their part of restored state too
+      this.sources[this.stateSourceName].hydrated = this.isHydrated
+    }
+
+    // events emitted by this component's own sub-components, replacing the EMIT source inherited from the parent
+    this.childStreams$ = xs.create()
+    this.childEvent$   = this.childStreams$.flatten()
+    this.sources[EMIT_SINK] = makeEmitSource(this.childEvent$)
+
+    // provided context is layered over the inherited one, and passed on to descendants through sources
+    if (this.context) {
+      const stateSource = this.sources[this.stateSourceName]
+      const state$      = stateSource && stateSource.stream.map(state => this.addCalculated(state))
+      this.sources[this.contextSourceName] = makeContextSource(this.sources[this.contextSourceName], this.context, state$)
     }
 
-    if (IS_ROOT_COMPONENT && typeof this.intent === 'undefined' && typeof this.model === 'undefined') {
+    // components created outside of run() (ex. in tests or custom setups) get an app of their own, and aren't its root
+    const active = activeApp()
+    this.app     = active || createApp({ name })
+    this.isRoot  = this.previous ? this.previous.isRoot : (!!active && !this.isSubComponent && !this.app.root)
+    if (this.isRoot) this.app.root = this
+    this.app.components.add(this)
+
+    // middleware for the whole app wraps the component's own
+    this.actionMiddleware = [ ...toActionMiddlewareList(this.app.actionMiddleware, 'app action middleware'), ...toActionMiddlewareList(actionMiddleware, `actionMiddleware for ${ name }`) ]
+
+    if (this.isRoot && typeof this.intent === 'undefined' && typeof this.model === 'undefined') {
       this.initialState = initialState || true
       this.intent = _ => ({__NOOP_ACTION__:xs.never()})
       this.model = {
         __NOOP_ACTION__: state => state
       }
     }
-    IS_ROOT_COMPONENT = false
 
-    this.log = makeLog(name)
+    // route changes are stored in state, so routed components always need a model
+    if (typeof this.routes !== 'undefined' && typeof this.model === 'undefined') this.model = {}
+
+    this.log = makeLog(this.logger)
+
+    // components with onError or a fallback view catch errors from their own code and their descendants
+    if (typeof this.onError !== 'undefined' && typeof this.onError !== 'function') throw new Error(`The onError parameter must be a function: ${ name }`)
+    this.isBoundary = typeof this.onError === 'function' || typeof this.fallback !== 'undefined'
+    if (this.isBoundary) this.failure$ = xs.create()
+
+    if (this.calculated) {
+      this.calculator = makeCalculator(this.calculated, {
+        name,
+        onError:   (field, e) => this.logger.warn(`Calculated field '${ field }' threw an error during calculation: ${ e.message }`, { field, error: e }),
+        onCompute: (field, stats) => this.logger.debug(`Calculated field '${ field }' recomputed`, { field, ...stats })
+      })
+    }
+
+    // children created while setting up join this component's app, and are owned (and unmounted) by it
+    this.owned = []
+    // items of collections from the children parameter are created later (see instantiateItem())
+    this.collectionItems = new Set()
+    CAPTURE = { instances: this.owned, parent: this }
+    try {
+      runInApp(this.app, () => {
+        this.initIntent$()
+        this.initRoute$()
+        this.initAction$()
+        this.initResponse$()
+        this.initState()
+        this.initModel$()
+        this.initSendResponse$()
+        this.initChildren$()
+        this.initSubComponentSink$()
+        this.initVdom$()
+        this.initSinks()
+      }, this)
+    } finally {
+      CAPTURE = capture
+    }
+
+    if (this.previous) {
+      this.app.components.delete(this.previous)
+      this.previous.dispose()
+    }
+  }
 
-    this.initIntent$()
-    this.initAction$()
-    this.initResponse$()
-    this.initState()
-    this.initModel$()
-    this.initSendResponse$()
-    this.initChildren$()
-    this.initSubComponentSink$()
-    this.initVdom$()
-    this.initSinks()
+  initProps$() {
+    const props$ = this.sources.props$.map(props => applyDefaults(this.propsSchema, props || {}))
+    this.sources.props$ = IS_DEVELOPMENT ? props$.debug(props => this.checkSchema(this.propsSchema, props, 'props')) : props$
   }
 
   initIntent$() {
@@ -175,25 +377,82 @@ class Component {
     }
   }
 
+  initRoute$() {
+    if (typeof this.routes === 'undefined') {
+      return
+    }
+    if (!this.routes || typeof this.routes !== 'object') {
+      throw new Error(`The routes parameter must be an object mapping route patterns to component names: ${ this.name }`)
+    }
+
+    const router = this.sources[this.routerSourceName]
+    if (!router || !router.location$ || typeof router.nest !== 'function') {
+      throw new Error(`Routes require a ${ this.routerSourceName } source created by makeRouterDriver(): ${ this.name }`)
+    }
+
+    const emptyRoute = { [this.DOMSourceName]: xs.of(null) }
+    const factories  = Object.entries(this.routes).reduce((acc, [pattern, target]) => {
+      const factory = (typeof target === 'function') ? target : this.components[target]
+      if (typeof factory !== 'function') {
+        throw new Error(`Component '${ target }' for route '${ pattern }' not found in the components parameter of ${ this.name }`)
+      }
+      // give each routed component a router source relative to its route so it can declare nested routes
+      acc[pattern] = sources => factory({ ...sources, [this.routerSourceName]: router.nest(pattern) })
+      return acc
+    }, { [NO_ROUTE]: _ => emptyRoute })
+
+    this.route$ = xs.fromObservable(router.location$)
+      .map(location => findRoute(this.routes, location))
+      .compose(dropRepeats((a, b) => JSON.stringify(a) === JSON.stringify(b)))
+      .remember()
+
+    const pattern$  = this.route$.map(route => route ? route.pattern : NO_ROUTE)
+    this.routeSinks = switchable(factories, pattern$, undefined, [this.DOMSourceName], this.stateSourceName)(this.sources)
+  }
+
   initAction$() {
     const requestSource  = (this.sources && this.sources[this.requestSourceName]) || null
+    const stateHydrate$  = (this.stateHydrate$ || xs.never()).map(data => ({ type: HYDRATE_ACTION, data }))
+    const route$         = (this.route$ || xs.never()).map(data => ({ type: ROUTE_ACTION, data }))
+
+    // events from sub-components with an action in their 'on' prop
+    const childAction$   = this.childEvent$
+      .map(({ key, ...event }) => {
+        const entry = this.subComponents && this.subComponents[key]
+        const type  = entry && entry.on && entry.on[event.type]
+        return (typeof type === 'string') ? { type, data: event } : null
+      })
+      .filter(action => !!action)
 
-    if (!this.intent$) {
-      this.action$ = xs.never()
+    if (!this.intent$ && !this.route$ && !this.timers) {
+      this.action$ = xs.merge(this.stateHydrate$ ? stateHydrate$ : xs.never(), childAction$)
       return
     }
 
     let runner
-    if (this.intent$ instanceof Stream) {
+    if (!this.intent$) {
+      runner = xs.never()
+    } else if (this.intent$ instanceof Stream) {
       runner = this.intent$
     } else {
       const mapped = Object.entries(this.intent$)
-                           .map(([type, data$]) => data$.map(data => ({type, data})))
+                           .map(([type, entry]) => withModifiers(type, entry, this.name).map(data => ({type, data})))
       runner = xs.merge(xs.never(), ...mapped)
     }
 
     const action$  = ((runner instanceof Stream) ? runner : (runner.apply && runner(this.sources) || xs.never()))
-    const wrapped$ = concat(xs.of({ type: BOOTSTRAP_ACTION }), action$)
+
+    let timer$ = xs.never()
+    if (this.timers) {
+      const getState = () => this.addCalculated(this.currentState)
+      const timers   = makeTimers(this.timers, { action$, getState, name: this.name })
+      timer$          = timers.stream
+      this.stopTimers = timers.cancel
+    }
+
+    // a rebuilt component carries on from the one it replaced, so it isn't bootstrapped again
+    const bootstrap$ = this.previous ? xs.empty() : xs.of({ type: BOOTSTRAP_ACTION })
+    const wrapped$   = concat(bootstrap$, xs.merge(action$, route$, timer$))
       .compose(delay(10))
 
     let initialApiData
@@ -206,8 +465,8 @@ class Component {
 
     const hydrate$ = initialApiData.map(data => ({ type: HYDRATE_ACTION, data }))
 
-    this.action$   = xs.merge(wrapped$, hydrate$)
-      .compose(this.log(({ type }) => `Action triggered: <${ type }>`))
+    this.action$   = xs.merge(wrapped$, hydrate$, stateHydrate$, childAction$)
+      .compose(this.log(({ type }) => `Action triggered: <${ type }>`, ({ type, _reqId }) => ({ action: type, requestId: _reqId })))
   }
 
   initResponse$() {
@@ -226,43 +485,47 @@ class Component {
         throw new Error('Invalid method in request object:', method)
       }
       const entries = Object.entries(routes)
-      const mapped = entries.reduce((acc, [route, action]) => {
+      const mapped = entries.reduce((acc, [route, routeConfig]) => {
         const routeString = `[${_method.toUpperCase()}]:${route || 'none'}`
+        // routes map to an action name or function, or to an object with the action and route options
+        const { action, timeout = this.requestTimeout, middleware: routeMiddleware } = (routeConfig && typeof routeConfig === 'object') ? routeConfig : { action: routeConfig }
         const actionType = typeof action
         if (actionType === 'undefined') {
           throw new Error(`Action for '${ route }' route in request object not specified`)
         } else if (actionType !== 'string' && actionType !== 'function') {
           throw new Error(`Invalid action for '${ route }' route: expecting string or function`)
         }
+        // component middleware runs first, then the route's own middleware
+        const middleware = [ ...toMiddlewareList(this.middleware, 'middleware'), ...toMiddlewareList(routeMiddleware, `middleware for '${ route }' route`) ]
         const actionString = (actionType === 'function') ? '[ FUNCTION ]' : `< ${ action } >`
-        console.log(`[${ this.name }] Adding ${ this.requestSourceName } route:`, _method.toUpperCase(), `'${ route }' <${ actionString }>`)
+        this.logger.debug(`Adding ${ this.requestSourceName } route: ${ _method.toUpperCase() } '${ route }' ${ actionString }`, { method: _method.toUpperCase(), route })
         const route$ = router$[_method](route)
           .compose(dropRepeats((a, b) => a.id == b.id))
           .map(req => {
             if (!req || !req.id) {
-              throw new Error(`No id found in request: ${ routeString }`)
+              this.logger.error(`No id found in request: ${ routeString }`)
+              return xs.empty()
+            }
+            const _reqId = req.id
+            const type   = (actionType === 'function') ? 'FUNCTION' : action
+            const fail   = (err) => {
+              this.failRequest(_reqId, err, { route: routeString, action: type })
+              return xs.empty()
             }
-            try {
-              const _reqId  = req.id
-              const params  = req.params
-              const body    = req.body
-              const cookies = req.cookies
-              const type    = (actionType === 'function') ? 'FUNCTION' : action
-              const data    = { params, body, cookies, req }
-              const obj     = { type, data: body, req, _reqId, _action: type }
-
-              const timestamp = (new Date()).toISOString()
-              const ip = req.get ? req.get('host') : '0.0.0.0'
-
-              console.log(`${ timestamp } ${ ip } ${ req.method } ${ req.url }`)
 
-              if (ENVIRONMENT.DEBUG) {
-                this.action$.setDebugListener({next: ({ type }) => console.log(`[${ this.name }] Action from ${ this.requestSourceName } request: <${ type }>`)})
-              }
+            const handle = (req, body) => {
+              const obj = { type, data: body, req, _reqId, _action: type }
 
               if (actionType === 'function') {
                 const enhancedState = this.addCalculated(this.currentState)
-                const result = action(enhancedState, req)
+                // route functions get the request data too, so changes made by middleware reach them
+                const result = action(enhancedState, req, body)
+                if (isAsync(result)) {
+                  const result$ = (result instanceof Stream) ? result : xs.fromPromise(result)
+                  return result$
+                    .map(value => ({ ...obj, data: value }))
+                    .replaceError(fail)
+                }
                 return xs.of({ ...obj, data: result })
               } else {
                 this.action$.shamefullySendNext(obj)
@@ -275,10 +538,26 @@ class Component {
                 }, [])
                 return xs.merge(...responses)
               }
+            }
+
+            try {
+              this.logger.debug(`${ req.method } ${ req.url }`, { action: type, requestId: _reqId, method: req.method, url: req.url })
+
+              this.startRequest(_reqId, timeout, { route: routeString, action: type })
+
+              if (middleware.length === 0) return handle(req, req.body)
+
+              const context = { req, data: req.body, route: routeString, action: type }
+              return xs.fromPromise(this.runMiddleware(middleware, context))
+                .map(context => context ? handle(context.req, context.data) : xs.empty())
+                .flatten()
+                .replaceError(fail)
             } catch(err) {
-              console.error(err)
+              return fail(err)
             }
-          }).flatten()
+          })
+          // requests are handled side by side, so a slow request can't swallow the response to the one before it
+          .compose(flattenConcurrently)
         return [ ...acc, route$ ]
       }, [])
       const mapped$ = xs.merge(...mapped)
@@ -289,7 +568,7 @@ class Component {
       .compose(this.log(res => {
         if (res._action) return `[${ this.requestSourceName }] response data received for Action: <${ res._action }>`
         return `[${ this.requestSourceName }] response data received from FUNCTION`
-      }))
+      }, ({ _action, _reqId }) => ({ action: _action, requestId: _reqId })))
 
     if (typeof this.response != 'undefined' && typeof this.response$ == 'undefined') {
       throw new Error('Cannot have a response parameter without a request parameter')
@@ -300,16 +579,27 @@ class Component {
     if (this.model != undefined) {
       if (this.model[INITIALIZE_ACTION] === undefined) {
         this.model[INITIALIZE_ACTION] = {
-          [this.stateSourceName]: (_, data) => ({ ...this.addCalculated(data) })
+          // keep state restored from a snapshot (server render or storage) instead of resetting it to initialState
+          [this.stateSourceName]: (state, data) => ({ ...this.addCalculated((this.isHydrated && state) ? mergeState(data, state) : data) })
         }
       } else {
         Object.keys(this.model[INITIALIZE_ACTION]).forEach(name => {
           if (name !== this.stateSourceName) {
-            console.warn(`${ INITIALIZE_ACTION } can only be used with the ${ this.stateSourceName } source... disregarding ${ name }`)
+            this.logger.warn(`${ INITIALIZE_ACTION } can only be used with the ${ this.stateSourceName } source... disregarding ${ name }`, { action: INITIALIZE_ACTION })
             delete this.model[INITIALIZE_ACTION][name]
           }
         })
       }
+      if (this.route$ && this.model[ROUTE_ACTION] === undefined) {
+        this.model[ROUTE_ACTION] = {
+          [this.stateSourceName]: (state, route) => ({ ...state, route })
+        }
+      }
+      if (this.stateHydrate$ && this.model[HYDRATE_ACTION] === undefined) {
+        this.model[HYDRATE_ACTION] = {
+          [this.stateSourceName]: (state, data) => ({ ...this.addCalculated(mergeState(state, data)) })
+        }
+      }
     }
   }
 
@@ -322,10 +612,15 @@ class Component {
       return
     }
 
+    this.asyncStatus$ = xs.create()
+
+    // actions sent with shamefullySendNext() skip operators on this.action$ itself, so intercept and check them downstream
+    const intercepted$ = this.interceptActions(this.action$)
+    const action$  = (IS_DEVELOPMENT && this.actions) ? intercepted$.debug(action => this.checkAction(action)) : intercepted$
     const initial  = { type: INITIALIZE_ACTION, data: this.initialState }
-    const shimmed$ = this.initialState ? concat(xs.of(initial), this.action$).compose(delay(0)) : this.action$
+    const shimmed$ = (this.initialState && !this.previous) ? concat(xs.of(initial), action$).compose(delay(0)) : action$
     const onState  = this.makeOnAction(shimmed$, true, this.action$)
-    const onNormal = this.makeOnAction(this.action$, false, this.action$)
+    const onNormal = this.makeOnAction(action$, false, this.action$)
 
 
     const modelEntries = Object.entries(this.model)
@@ -351,7 +646,7 @@ class Component {
         const isStateSink = (sink == this.stateSourceName)
 
         const on = isStateSink ? onState : onNormal
-        const onned = on(action, reducer)
+        const onned = on(action, reducer, sink)
 
         const wrapped = onned.compose(this.log(data => {
             if (isStateSink) {
@@ -360,7 +655,7 @@ class Component {
               const extra = data && (data.type || data.command || data.name || data.key || (Array.isArray(data) && 'Array') || data)
               return `Data sent to [${ sink }]: <${ action }> ${ extra }`
             }
-          }))
+          }, data => ({ action, requestId: data && data._reqId })))
 
         if (Array.isArray(reducers[sink])) {
           reducers[sink].push(wrapped)
@@ -370,6 +665,11 @@ class Component {
       })
     })
 
+    if (this.sources[this.stateSourceName]) {
+      const stateReducers = reducers[this.stateSourceName] || []
+      reducers[this.stateSourceName] = [ ...stateReducers, this.asyncStatus$ ]
+    }
+
     const model$ = Object.entries(reducers).reduce((acc, entry) => {
       const [sink, streams] = entry
       acc[sink] = xs.merge(xs.never(), ...streams)
@@ -388,7 +688,7 @@ class Component {
     if (responseType == 'undefined') {
       if (this.response$) {
         this.response$.subscribe({
-          next: this.log(({ _reqId, _action }) => `Unhandled response for request: ${ _action } ${ _reqId }`)
+          next: ({ _reqId, _action }) => this.logger.debug(`Unhandled response for request: ${ _action } ${ _reqId }`, { action: _action, requestId: _reqId })
         })
       }
       this.sendResponse$ = xs.never()
@@ -420,7 +720,7 @@ class Component {
     }, [])
 
     this.sendResponse$ = xs.merge(...out$)
-      .compose(this.log(({ _reqId, _action }) => `[${ this.requestSourceName }] response sent for: <${ _action }>`))
+      .compose(this.log(({ _reqId, _action }) => `[${ this.requestSourceName }] response sent for: <${ _action }>`, ({ _reqId, _action }) => ({ action: _action, requestId: _reqId })))
   }
 
   initChildren$() {
@@ -433,7 +733,10 @@ class Component {
       return acc
     }, {})
 
-    this.children$ = Object.entries(this.children).reduce((acc, [childName, childFactory]) => {
+    // the component matching the current route is rendered like any other child
+    const children = this.routeSinks ? { ...this.children, [ROUTE_VIEW_NAME]: _ => this.routeSinks } : this.children
+
+    this.children$ = Object.entries(children).reduce((acc, [childName, childFactory]) => {
       const child$ = childFactory(this.sources)
       this.sourceNames.forEach(source => {
         if (source == this.DOMSourceName) {
@@ -455,7 +758,7 @@ class Component {
 
       }
     })
-    subComponentSink$.subscribe({ next: _ => _ })
+    this.subComponentSubscription = subComponentSink$.subscribe({ next: _ => _ })
     this.subComponentSink$ = subComponentSink$.filter(sinks => Object.keys(sinks).length > 0)
   }
 
@@ -482,6 +785,12 @@ class Component {
       renderParams.children = this.sources.children$
     }
 
+    const contextSource = this.sources[this.contextSourceName]
+    const context       = contextSource && trackContext(contextSource.stream)
+    if (context) {
+      renderParams.context = context.stream
+    }
+
     const pulled = Object.entries(renderParams).reduce((acc, [name, stream]) => {
       acc.names.push(name)
       acc.streams.push(stream)
@@ -500,45 +809,85 @@ class Component {
       })
 
     const componentNames = Object.keys(this.components)
-    this.vdom$ = throttled
-      .fold((previousComponents, renderParams) => {
-        const vDom = this.view(renderParams) || { sel: 'div', data: {}, children: [] }
+    // sub-components created by the instance this one replaces (see hot()) are reused instead of recreated
+    let inherited = (this.previous && this.previous.subComponents) || {}
+    const view$ = throttled
+      .fold(catchErrors((previousComponents, renderParams) => {
+        const params = context ? { ...renderParams, context: context.track() } : renderParams
+        const vDom = this.view(params) || { sel: 'div', data: {}, children: [] }
         const foundComponents = getComponents(vDom, componentNames)
         const entries = Object.entries(foundComponents)
 
         const rootEntry = { '::ROOT::': vDom }
-
-        if (entries.length === 0) return rootEntry
+        // sub-components dropped by an error boundary (see catchError()) aren't reused
+        const current   = (previousComponents === this.subComponents) ? previousComponents : {}
+        const existing  = { ...inherited, ...current }
+        inherited = {}
 
         const newComponents =  entries.reduce((acc, [id, el]) => {
           const componentName = el.sel
           const data  = el.data
-          const props = data.props || {}
+          // 'on' maps events the sub-component emits to actions of this component, so it isn't passed down as a prop
+          // JSX pragmas put it in `data.on`, while it ends up in props when passed to h() as a prop
+          const { on: propsOn, ...props } = data.props || {}
+          const on = data.on || propsOn
           const children = el.children || []
           const isCollection = data.isCollection || false
           const isSwitchable = data.isSwitchable || false
 
-          if (previousComponents[id]) {
-            const entry = previousComponents[id]
+          if (existing[id]) {
+            const entry = existing[id]
+            const changed = !shallowEqual(entry.props, props)
             acc[id] = entry
+            entry.on    = on
+            entry.props = props
             entry.props$.shamefullySendNext(props)
             entry.children$.shamefullySendNext(children)
+            if (changed && entry.notifyProps) entry.instances.forEach(instance => setTimeout(() => latest(instance).notify(PROPS_CHANGED_ACTION, props), 0))
             return acc
           }
 
           const factory   = this.components[componentName]
           const props$    = xs.create().startWith(props)
           const children$ = xs.create().startWith(children)
+          const instances = new Set()
           let propState
           let sink$
           if (isCollection) {
-            propState = new StateSource(props$.map(val => val.value).remember())
+            // filter and sort read the latest props so they can change between renders
+            let collectionProps = props
+            // edits made by items are written back to the field of this component's state that holds the 'value' array
+            let field
+            propState = new StateSource(props$.map(val => {
+              collectionProps = val
+              field = this.findStateField(val.value)
+              return val.value
+            }).remember())
             const sources   = { ...this.sources, [this.stateSourceName]: propState, props$, children$ }
             const factory   = this.components[data.component]
-            const lense     = { get: state => state, set: state => state }
-            sink$ = collection(factory, lense)(sources)
+            const lense     = { get: state => state, set: (state, items) => items }
+            const options   = {
+              itemKey: props.itemKey,
+              filter:  props.filter && ((item, index) => (typeof collectionProps.filter === 'function') ? collectionProps.filter(item, index) : true),
+              sort:    props.sort && ((a, b) => (typeof collectionProps.sort === 'function') ? collectionProps.sort(a, b) : 0)
+            }
+            const item      = this.instantiateItem(factory, instances)
+            sink$ = collection(item, lense, [this.DOMSourceName], ['EVENTS'], this.stateSourceName, options)(sources)
+            sink$[this.stateSourceName] = (sink$[this.stateSourceName] || xs.never())
+              .filter(_ => {
+                if (typeof field === 'undefined') this.warnUnwritableCollection(data.component)
+                return typeof field !== 'undefined'
+              })
+              .map(reducer => state => (field === null) ? reducer(state) : { ...state, [field]: reducer(state && state[field]) })
           } else if (isSwitchable) {
-
+            const stateLense = (props) => props.state
+            propState = (typeof props.state !== 'undefined') ? new StateSource(props$.map(stateLense)) : this.sources[this.stateSourceName]
+            const sources = { ...this.sources, [this.stateSourceName]: propState, props$, children$ }
+            const name$   = props$.map(props => props.current)
+            const created = this.instantiate(() => switchable(data.components, name$, data.currentComponent, [this.DOMSourceName], this.stateSourceName)(sources))
+            created.instances.forEach(instance => instances.add(instance))
+            this.warnIgnoredReducers(created.instances)
+            sink$ = created.sinks
           } else {
             const lense = (props) => {
               const state = props.state
@@ -551,28 +900,49 @@ class Component {
             }
             propState = new StateSource(props$.map(lense))
             const sources   = { ...this.sources, [this.stateSourceName]: propState, props$, children$ }
-            sink$ = factory(sources)
+            const created = this.instantiate(() => factory(sources))
+            created.instances.forEach(instance => instances.add(instance))
+            this.warnIgnoredReducers(created.instances)
+            sink$ = created.sinks
           }
           const originalDOMSink = sink$[this.DOMSourceName]
           sink$[this.DOMSourceName] = propState.stream.map(state => originalDOMSink.compose(debounce(2))).flatten()
-          acc[id] = { sink$, props$, children$ }
+          const childId = (typeof props.id !== 'undefined') ? props.id : id
+          acc[id] = { sink$, props$, children$, props, on, childId, instances, isCollection, notifyProps: !isCollection && !isSwitchable }
           return acc
         }, rootEntry)
 
+        // sub-components that left the view are unmounted before their sinks are disconnected
+        Object.entries(existing).forEach(([id, entry]) => {
+          if (id !== '::ROOT::' && !newComponents[id]) unmountEntry(entry)
+        })
+
+        this.subComponents = newComponents
         return newComponents
-      }, {})
+      }, (error, previousComponents) => {
+        // the last render is kept until the error boundary shows its fallback
+        if (!this.reportError(error)) throw error
+        return previousComponents
+      }), {})
+      .compose(dropRepeats())
       .map(components => {
         const root  = components['::ROOT::']
         let ids = []
         const entries = Object.entries(components).filter(([id]) => id !== '::ROOT::')
 
+        // events emitted by sub-components go to this component (see makeEmitSource()) instead of being merged into its sinks
+        const emitted$ = entries.map(([id, val]) => (val.sink$[EMIT_SINK] || xs.never()).map(event => ({ ...event, id: val.childId, key: id })))
+        this.childStreams$.shamefullySendNext((emitted$.length > 0) ? xs.merge(...emitted$) : xs.never())
+
         if (entries.length === 0) return xs.of(root)
 
         const sinkArrays = entries
           .reduce((acc, [id, val]) => {
             Object.entries(val.sink$).forEach(([name, stream]) => {
               if (!acc[name]) acc[name] = []
-              if (name !== this.DOMSourceName) acc[name].push(stream)
+              // other sub-components get their state from props, so only collections change this component's state
+              if (name === this.stateSourceName && !val.isCollection) return
+              if (name !== this.DOMSourceName && name !== EMIT_SINK) acc[name].push(stream)
             })
             return acc
           }, {})
@@ -603,93 +973,349 @@ class Component {
       })
       .flatten()
       .filter(val => !!val)
+
+    this.vdom$ = (this.isBoundary ? this.withFallback(view$) : view$)
       .remember()
       .compose(this.log('View Rendered'))
   }
 
+  withFallback(view$) {
+    // RETRY renders the view again, with new sub-components
+    const retry$   = this.action$ ? this.action$.filter(({ type }) => type === RETRY_ACTION).mapTo(null) : xs.never()
+    // the view can be restarted by its parent, so start from the current failure (if any) each time
+    const current$ = xs.of(null).map(_ => this.failure || null)
+
+    return xs.merge(current$, this.failure$, retry$)
+      .compose(dropRepeats())
+      .map(failure => {
+        this.failure = failure
+        return failure ? xs.of(this.renderFallback(failure)) : view$
+      })
+      .flatten()
+      .filter(val => !!val)
+  }
+
+  renderFallback(failure) {
+    const state = this.addCalculated(this.currentState)
+    try {
+      const vDom = (typeof this.fallback === 'function') ? this.fallback({ ...failure, state }) : this.fallback
+      return vDom || { sel: 'div', data: {}, children: [] }
+    } catch(err) {
+      // a failing fallback is handled by the next boundary up
+      if (!this.reportError(err, failure, this.parent)) throw err
+      return null
+    }
+  }
+
   initSinks() {
     this.sinks = this.sourceNames.reduce((acc, name) => {
-      if (name == this.DOMSourceName) return acc
+      if (name == this.DOMSourceName || name == this.contextSourceName || name == EMIT_SINK) return acc
       const subComponentSink$ = this.subComponentSink$ ? this.subComponentSink$.map(sinks => sinks[name]).filter(sink => !!sink).flatten() : xs.never()
       if (name === this.stateSourceName) {
-        acc[name] = xs.merge((this.model$[name] || xs.never()), this.sources[this.stateSourceName].stream.filter(_ => false), ...this.children$[name])
+        acc[name] = xs.merge((this.model$[name] || xs.never()), this.sources[this.stateSourceName].stream.filter(_ => false), subComponentSink$, ...this.children$[name])
       } else {
         acc[name] = xs.merge((this.model$[name] || xs.never()), subComponentSink$, ...this.children$[name])
       }
       return acc
     }, {})
 
-    this.sinks[this.DOMSourceName]     = this.vdom$
-    this.sinks[this.requestSourceName] = xs.merge(this.sendResponse$ ,this.sinks[this.requestSourceName])
+    this.sinks[EMIT_SINK] = (this.model$[EMIT_SINK] || xs.never()).map(event => toEmitEvent(event, this.name))
+
+    // MOUNT is sent once the component first renders (a hot() rebuilt component is already mounted)
+    this.mounted = !!this.previous
+    this.sinks[this.DOMSourceName]     = this.vdom$.debug(() => {
+      if (this.mounted) return
+      this.mounted = true
+      setTimeout(() => this.notify(MOUNT_ACTION), 0)
+    })
+    this.sinks[this.requestSourceName] = xs.merge(this.sendResponse$, this.directResponse$, this.sinks[this.requestSourceName])
+    if (this.request) this.sinks[this.requestSourceName] = this.sinks[this.requestSourceName].filter(res => this.trackResponse(res))
   }
 
   makeOnAction(action$, isStateSink=true, rootAction$) {
     rootAction$ = rootAction$ || action$
-    return (name, reducer) => {
+    return (name, reducer, sink) => {
       const filtered$ = action$.filter(({type}) => type == name)
+      const asyncKey  = `${ name }::${ sink || (isStateSink ? this.stateSourceName : 'SINK') }`
+      const sinkName  = sink || (isStateSink ? this.stateSourceName : undefined)
 
       let returnStream$
       if (typeof reducer === 'function') {
-        returnStream$ = filtered$.map(action => {
+        // results of reducers that return a Promise or Stream are sent here once they arrive
+        const async$ = xs.create()
+
+        const mapped$ = filtered$.map(action => {
+          const _reqId   = requestIdOf(action)
+          // concurrent requests each get their own async task instead of cancelling each other
+          const taskKey  = _reqId ? `${ asyncKey }::${ _reqId }` : asyncKey
           const next = (type, data) => {
-            const _reqId = action._reqId || (action.req && action.req.id)
             const _data  = _reqId ? (typeof data == 'object' ? { ...data, _reqId, _action: name } : { data, _reqId, _action: name }) : data
             // put the "next" action request at the end of the event loop so the "current" action completes first
             setTimeout(() => {
               // push the "next" action request into the action$ stream
-              rootAction$.shamefullySendNext({ type, data: _data })
+              rootAction$.shamefullySendNext({ type, data: _data, followUp: true })
             }, 10)
           }
 
           let data = action.data
           if (data && data.data && data._reqId) data = data.data
           if (isStateSink) {
+            const toState = (state, newState) => {
+              if (newState == ABORT) return state
+              const cleaned = this.cleanupCalculated(newState)
+              if (IS_DEVELOPMENT && this.stateSchema) this.checkSchema(this.stateSchema, cleaned, 'state', name)
+              return cleaned
+            }
             return (state) => {
+              noteReducer(this.name, action)
               const _state = this.isSubComponent ? this.currentState : state
               const enhancedState = this.addCalculated(_state)
-              const newState = reducer(enhancedState, data, next, action.req)
-              if (newState == ABORT) return _state
-              return this.cleanupCalculated(newState)
+              let newState
+              try {
+                newState = reducer(enhancedState, data, next, action.req)
+              } catch(err) {
+                if (!_reqId && !this.reportError(err, { action: name })) throw err
+                if (_reqId) this.failRequest(_reqId, err, { action: name })
+                return _state
+              }
+              if (isAsync(newState)) {
+                this.runAsync(taskKey, name, newState, value => {
+                  async$.shamefullySendNext(state => {
+                    noteReducer(this.name, action)
+                    const _state = this.isSubComponent ? this.currentState : state
+                    const resolved = (typeof value === 'function') ? value(this.addCalculated(_state)) : value
+                    return this.afterAction(action, sinkName, toState(_state, resolved))
+                  })
+                }, _reqId)
+                return this.withAsyncStatus(_state, name, true)
+              }
+              return this.afterAction(action, sinkName, toState(_state, newState))
             }
           } else {
+            const toSinkValue = (reduced) => {
+              const type = typeof reduced
+              if (reduced == ABORT) return reduced
+              // checked first so plain string messages are tagged with the component and action too
+              if (sink == this.logSourceName && type != 'undefined') return toLogRecord(reduced, { component: this.name, action: name, requestId: _reqId })
+              if (['string', 'number', 'boolean', 'function'].includes(type)) return reduced
+              if (type == 'object') return { ...reduced, _reqId, _action: name }
+              if (type == 'undefined') {
+                this.logger.warn(`'undefined' value sent to ${ name }`, { action: name, requestId: _reqId })
+                return reduced
+              }
+              throw new Error(`Invalid reducer type for ${ name } ${ type }`)
+            }
             const enhancedState = this.addCalculated(this.currentState)
-            const reduced = reducer(enhancedState, data, next, action.req)
-            const type = typeof reduced
-            const _reqId = action._reqId || (action.req && action.req.id)
-            if (['string', 'number', 'boolean', 'function'].includes(type)) return reduced
-            if (type == 'object') return { ...reduced, _reqId, _action: name }
-            if (type == 'undefined') {
-              console.warn(`'undefined' value sent to ${ name }`)
-              return reduced
+            let reduced
+            try {
+              reduced = reducer(enhancedState, data, next, action.req)
+            } catch(err) {
+              if (!_reqId && !this.reportError(err, { action: name })) throw err
+              if (_reqId) this.failRequest(_reqId, err, { action: name })
+              return ABORT
+            }
+            if (isAsync(reduced)) {
+              this.runAsync(taskKey, name, reduced, value => {
+                const sinkValue = toSinkValue(value)
+                if (sinkValue != ABORT) async$.shamefullySendNext(this.afterAction(action, sinkName, sinkValue))
+              }, _reqId)
+              this.sendAsyncStatus(name, true)
+              return ABORT
             }
-            throw new Error(`Invalid reducer type for ${ name } ${ type }`)
+            const sinkValue = toSinkValue(reduced)
+            return (sinkValue == ABORT) ? sinkValue : this.afterAction(action, sinkName, sinkValue)
           }
         }).filter(result => result != ABORT)
+
+        returnStream$ = xs.merge(mapped$, async$)
       } else if (reducer === undefined || reducer === true) {
-        returnStream$ = filtered$.map(({data}) => data)
+        returnStream$ = filtered$.map(action => this.afterAction(action, sinkName, action.data))
       } else {
         const value = reducer
-        returnStream$ = filtered$.mapTo(value)
+        returnStream$ = filtered$.map(action => this.afterAction(action, sinkName, value))
       }
 
       return returnStream$
     }
   }
 
-  addCalculated(state) {
-    if (!this.calculated || typeof state !== 'object') return state
-    if (typeof this.calculated !== 'object') throw new Error(`'calculated' parameter must be an object mapping calculated state field named to functions`)
-    const entries = Object.entries(this.calculated)
-    const calculated = entries.reduce((acc, [field, fn]) => {
-      if (typeof fn !== 'function') throw new Error(`Missing or invalid calculator function for calculated field '${ field }`)
+  runAsync(key, name, result, onValue, _reqId) {
+    // a newer action of the same type cancels whatever the previous one was still waiting on
+    const previous = this.asyncTasks[key]
+    if (previous) previous.cancel()
+
+    const task = { cancelled: false }
+    this.asyncTasks[key] = task
+
+    const done = (error) => {
+      if (task.cancelled) return
+      if (this.asyncTasks[key] === task) delete this.asyncTasks[key]
+      if (error) this.logger.warn(`Async reducer for <${ name }> failed: ${ (error && error.message) || error }`, { action: name, requestId: _reqId, error })
+      this.sendAsyncStatus(name, false, error)
+      if (error && _reqId) this.failRequest(_reqId, error, { action: name })
+    }
+
+    const fail = (error) => done(error || new Error(`Async reducer for <${ name }> failed`))
+
+    if (result instanceof Stream) {
+      const subscription = result.subscribe({
+        next:     value => { if (!task.cancelled) onValue(value) },
+        error:    fail,
+        complete: () => done()
+      })
+      task.cancel = () => {
+        task.cancelled = true
+        subscription.unsubscribe()
+      }
+    } else {
+      task.cancel = () => task.cancelled = true
+      // errors thrown while handling the value (ex. a schema check) fail the task too
+      result.then(value => {
+        if (task.cancelled) return
+        onValue(value)
+        done()
+      }).catch(fail)
+    }
+  }
+
+  sendAsyncStatus(name, pending, error) {
+    if (!this.asyncStatusField || !this.sources[this.stateSourceName]) return
+    this.asyncStatus$.shamefullySendNext(state => this.withAsyncStatus(this.isSubComponent ? this.currentState : state, name, pending, error))
+  }
+
+  withAsyncStatus(state, name, pending, error=null) {
+    if (!this.asyncStatusField || !state || typeof state !== 'object') return state
+    const status = state[this.asyncStatusField] || {}
+    // only keep the message so state stays serializable (Errors turn into {} in JSON)
+    const failed = error && { message: (typeof error.message === 'string') ? error.message : String(error) }
+    return { ...state, [this.asyncStatusField]: { ...status, [name]: { pending, error: failed || null } } }
+  }
+
+  startRequest(_reqId, timeout, details={}) {
+    const timer = (timeout > 0) ? setTimeout(() => {
+      this.failRequest(_reqId, new Error(`Request timed out after ${ timeout }ms`), { ...details, status: 504 })
+    }, timeout) : true
+    this.pendingRequests[_reqId] = timer
+  }
+
+  settleRequest(_reqId) {
+    const timer = this.pendingRequests[_reqId]
+    if (!timer) return false
+    clearTimeout(timer)
+    delete this.pendingRequests[_reqId]
+    return true
+  }
+
+  failRequest(_reqId, error, details={}) {
+    // only the first failure of a request still waiting for a response is reported
+    if (!this.settleRequest(_reqId)) return
+
+    const status  = details.status || (error && (error.status || error.statusCode)) || 500
+    const message = (error && error.message) || String(error)
+    this.logger.error(`Request failed with status ${ status }: ${ message }`, { action: details.action, requestId: _reqId, status, error })
+
+    // models can handle ERROR to respond themselves, otherwise a default error response is sent
+    const handlesResponse = !!(this.model && this.model[ERROR_ACTION] && typeof this.model[ERROR_ACTION] === 'object' && this.model[ERROR_ACTION][this.requestSourceName])
+    if (!handlesResponse) this.directResponse$.shamefullySendNext({ _reqId, _action: details.action, command: ERROR_COMMAND, data: { status, message } })
+
+    // responses that arrive after the error response are dropped (give up on them after another timeout period)
+    const cleanup = setTimeout(() => delete this.failedRequests[_reqId], this.requestTimeout || REQUEST_TIMEOUT)
+    // this is only bookkeeping, so don't keep Node processes alive for it
+    if (cleanup && typeof cleanup.unref === 'function') cleanup.unref()
+    this.failedRequests[_reqId] = cleanup
+
+    const data = { status, message, error, route: details.route, action: details.action, requestId: _reqId }
+    setTimeout(() => this.action$.shamefullySendNext({ type: ERROR_ACTION, data, _reqId }), 0)
+  }
+
+  runMiddleware(middleware, context) {
+    const _reqId    = context.req.id
+    const getState = () => this.addCalculated(this.currentState)
+    const ctx = {
+      ...context,
+      get state() { return getState() },
+      responded: false,
+      respond: (command, data) => {
+        ctx.responded = true
+        this.directResponse$.shamefullySendNext({ _reqId, _action: context.action, command, data })
+      }
+    }
+
+    // each middleware waits for the one before it, and the chain stops as soon as one responds
+    return middleware
+      .reduce((promise, fn) => promise.then(() => {
+        if (ctx.responded) return
+        return fn(ctx)
+      }), Promise.resolve())
+      .then(() => ctx.responded ? null : ctx)
+  }
+
+  interceptActions(action$) {
+    const hooks = this.actionMiddleware.map(({ before }) => before).filter(before => typeof before === 'function')
+    if (hooks.length === 0) return action$
+
+    const context = this.getActionContext()
+    const drop    = (action, err) => {
+      this.logger.error(`Action middleware failed for <${ action.type }>, dropping the action: ${ (err && err.message) || err }`, { action: action.type, error: err })
+      return []
+    }
+
+    // actions are passed through synchronously unless a middleware returns a Promise
+    return action$
+      .map(action => {
+        let result
+        try {
+          result = runBeforeHooks(hooks, action, context)
+        } catch(err) {
+          return xs.fromArray(drop(action, err))
+        }
+        if (!isPromise(result)) return xs.fromArray(result)
+        return xs.fromPromise(result.catch(err => drop(action, err))).map(actions => xs.fromArray(actions)).flatten()
+      })
+      .compose(flattenConcurrently)
+  }
+
+  afterAction(action, sink, value) {
+    if (this.actionMiddleware.length === 0) return value
+    const context = this.getActionContext()
+    this.actionMiddleware.forEach(({ after }) => {
+      if (typeof after !== 'function') return
       try {
-        acc[field] = fn(state)
-      } catch(e) {
-        console.warn(`Calculated field '${ field }' threw an error during calculation: ${ e.message }`)
+        after(action, { sink, value }, context)
+      } catch(err) {
+        this.logger.error(`Action middleware failed after <${ action.type }>: ${ err.message }`, { action: action.type, error: err })
       }
-      return acc
-    }, {})
-    return { ...state, ...calculated }
+    })
+    return value
+  }
+
+  getActionContext() {
+    if (this.actionContext) return this.actionContext
+    const component = this
+    this.actionContext = {
+      component: this.name,
+      app:       this.app.name,
+      get state() { return component.addCalculated(component.currentState) },
+      dispatch:  (action, data) => {
+        const fixedAction = (typeof action === 'string') ? { type: action, data } : action
+        // sent after the current action finishes, and goes through the middleware again
+        setTimeout(() => this.notify(fixedAction.type, fixedAction.data), 0)
+      }
+    }
+    return this.actionContext
+  }
+
+  trackResponse(res) {
+    const _reqId = res && res._reqId
+    if (!_reqId || !res.command) return true
+    if (this.failedRequests[_reqId]) return res._action === ERROR_ACTION
+    this.settleRequest(_reqId)
+    return true
+  }
+
+  addCalculated(state) {
+    if (!this.calculator || !state || typeof state !== 'object') return state
+    return { ...state, ...this.calculator(state) }
   }
 
   cleanupCalculated(state) {
@@ -707,6 +1333,140 @@ class Component {
     return copy
   }
 
+  instantiate(fn) {
+    return runInApp(this.app, () => captureComponent(fn, undefined, this), this)
+  }
+
+  instantiateItem(factory, instances) {
+    // items are created as they're added to the list, and unmounted when they're removed from it
+    return sources => {
+      const created = this.instantiate(() => factory(sources))
+      created.instances.forEach(instance => instances.add(instance))
+      const unmount = () => created.instances.forEach(instance => {
+        instances.delete(instance)
+        latest(instance).unmount()
+      })
+      return { ...created.sinks, [this.DOMSourceName]: untilRemoved(created.sinks[this.DOMSourceName], unmount) }
+    }
+  }
+
+  findStateField(value) {
+    // `null` stands for the whole state
+    const state = this.currentState
+    if (value === state) return null
+    const calculated = this.calculated || {}
+    if (!state || typeof state !== 'object') return undefined
+    return Object.keys(state).find(key => state[key] === value && !(key in calculated))
+  }
+
+  warnUnwritableCollection(componentName) {
+    const key = `${ this.name }:${ componentName }`
+    if (!IS_DEVELOPMENT || WARNED_IGNORED.has(key)) return
+    WARNED_IGNORED.add(key)
+    this.logger.warn(`Edits made by '${ componentName }' collection items are ignored because the 'value' array isn't a field of the state of '${ this.name }' (ex. it's filtered or calculated): pass the state field and use the 'filter' and 'sort' props instead`, { source: componentName })
+  }
+
+  warnIgnoredReducers(instances) {
+    if (!IS_DEVELOPMENT) return
+    // sub-components declared in a view get their state from props, so their state reducers have nowhere to go
+    instances.forEach(instance => {
+      const ignored = [MOUNT_ACTION, UNMOUNT_ACTION, PROPS_CHANGED_ACTION].filter(type => hasStateReducer(instance.model, type, instance.stateSourceName))
+      if (ignored.length === 0 || WARNED_IGNORED.has(instance.name)) return
+      WARNED_IGNORED.add(instance.name)
+      this.logger.warn(`State reducers for ${ ignored.map(type => `<${ type }>`).join(', ') } in '${ instance.name }' are ignored because it is declared in the view of '${ this.name }' (its state comes from props): use other sinks (ex. EVENTS or EMIT), or add it as a child instead`, { source: instance.name })
+    })
+  }
+
+  notify(type, data) {
+    if (!this.action$ || this.unmounted) return
+    this.action$.shamefullySendNext({ type, data })
+  }
+
+  unmount() {
+    if (this.unmounted) return
+    // UNMOUNT is handled right away, while the component's sinks are still connected
+    this.notify(UNMOUNT_ACTION)
+    this.unmounted = true
+
+    Object.entries(this.subComponents || {}).forEach(([id, entry]) => {
+      if (id !== '::ROOT::') unmountEntry(entry)
+    })
+    this.owned.forEach(instance => latest(instance).unmount())
+    this.collectionItems.forEach(instance => latest(instance).unmount())
+    if (this.subComponentSubscription) this.subComponentSubscription.unsubscribe()
+
+    this.dispose()
+    this.app.components.delete(this)
+  }
+
+  reportError(error, info={}, from=this) {
+    // components that were already torn down have nothing left to show
+    if (this.unmounted) return true
+    // components replaced by hot() pass errors on to the instance that replaced them
+    let boundary = from && latest(from)
+    while (boundary && !boundary.isBoundary) boundary = boundary.parent && latest(boundary.parent)
+    if (!boundary) return false
+    boundary.catchError(error, { component: this.name, action: info.action })
+    return true
+  }
+
+  catchError(error, { component, action }) {
+    const message = (error && error.message) || String(error)
+    const failure = { error, message, component, action }
+    const source  = (component === this.name) ? '' : ` from '${ component }'`
+    const during  = action ? ` while handling <${ action }>` : ''
+    this.logger.error(`Caught error${ source }${ during }: ${ message }`, { action, error, source: component })
+
+    if (this.onError) {
+      try {
+        this.onError(error, { component, action, state: this.addCalculated(this.currentState) })
+      } catch(err) {
+        this.logger.error(`onError failed: ${ err.message }`, { error: err })
+      }
+    }
+
+    // the failing subtree is replaced by the fallback, so its sub-components are torn down
+    Object.entries(this.subComponents || {}).forEach(([id, entry]) => {
+      if (id !== '::ROOT::') unmountEntry(entry)
+    })
+    this.subComponents = {}
+
+    this.failure = failure
+    this.failure$.shamefullySendNext(failure)
+    // kept apart from ERROR (failed requests) so request sinks in ERROR aren't sent responses without a request
+    // a COMPONENT_ERROR reducer that throws isn't sent another COMPONENT_ERROR
+    if (action !== COMPONENT_ERROR_ACTION) setTimeout(() => this.notify(COMPONENT_ERROR_ACTION, failure), 0)
+  }
+
+  dispatch(action) {
+    if (!this.action$) throw new Error(`Component '${ this.name }' has no intent or model to dispatch <${ action.type }> to`)
+    this.action$.shamefullySendNext(action)
+  }
+
+  dispose() {
+    Object.values(this.asyncTasks).forEach(task => task.cancel && task.cancel())
+    if (this.stopTimers) this.stopTimers()
+    Object.values(this.pendingRequests).forEach(timer => clearTimeout(timer))
+    Object.values(this.failedRequests).forEach(timer => clearTimeout(timer))
+    this.asyncTasks      = {}
+    this.pendingRequests = {}
+    this.failedRequests  = {}
+  }
+
+  checkAction(action) {
+    if (!action || !this.actions || !this.actions[action.type]) return
+    let data = action.data
+    if (data && data.data && data._reqId) data = data.data
+    this.checkSchema(this.actions[action.type], data, `${ action.type } data`, action.type)
+  }
+
+  checkSchema(schema, value, label, action) {
+    const errors = validateSchema(schema, value, label)
+    if (errors.length === 0) return
+    const during = action ? ` for action '${ action }'` : ''
+    this.logger.error(`Schema violation in component '${ this.name }'${ during }: ${ errors.join('; ') }`, { action, errors })
+  }
+
 }
 
 
@@ -718,22 +1478,22 @@ class Component {
 /**
  * factory to create a logging function meant to be used inside of an xstream .compose()
  *
- * @param {String} context name of the component or file to be prepended to any messages
+ * @param {Object} logger logger to send messages to (usually a child logger carrying the component name)
  * @return {Function}
  *
- * returned function accepts either a `String` of `Function`
- * `String` values will be logged to `console` as is
- * `Function` values will be called with the current `stream` value and the result will be logged to `console`
- * all output will be prepended with the `context` (ex. "[CONTEXT] My output")
- * ONLY outputs if the global `DEBUG` variable is set to `true`
+ * returned function accepts either a `String` of `Function`, and optionally a second `Function` returning extra record fields
+ * `String` values will be logged as is
+ * `Function` values will be called with the current `stream` value and the result will be logged
+ * messages are logged at 'debug' level, and are only built when the logger has 'debug' enabled
  */
- function makeLog (context) {
-  return function (msg) {
-    const fixedMsg = (typeof msg === 'function') ? msg : _ => msg
+ function makeLog (logger) {
+  return function (msg, fields) {
+    const fixedMsg    = (typeof msg === 'function') ? msg : _ => msg
+    const fixedFields = (typeof fields === 'function') ? fields : _ => fields
     return stream => {
       return stream.debug(msg => {
-        if (ENVIRONMENT.DEBUG == 'true' || ENVIRONMENT.DEBUG === true) {
-          console.log(`[${context}] ${fixedMsg(msg)}`)
+        if (logger.isEnabled('debug')) {
+          logger.debug(fixedMsg(msg), fixedFields(msg))
         }
       })
     }
@@ -742,6 +1502,253 @@ class Component {
 
 
 
+/**
+ * normalize a middleware parameter to an array of functions
+ *
+ * @param {Function|Array} middleware middleware function or array of functions
+ * @param {String} description what the middleware is for (used in error messages)
+ * @return {Array} middleware functions
+ */
+function toMiddlewareList(middleware, description) {
+  if (typeof middleware === 'undefined') return []
+  const list = Array.isArray(middleware) ? middleware : [middleware]
+  list.forEach(fn => {
+    if (typeof fn !== 'function') throw new Error(`Invalid ${ description }: expecting a function or an array of functions`)
+  })
+  return list
+}
+
+function toActionMiddlewareList(middleware, description) {
+  if (typeof middleware === 'undefined') return []
+  const list = Array.isArray(middleware) ? middleware : [middleware]
+  return list.map(entry => {
+    if (typeof entry === 'function') return { before: entry }
+    const valid = !!entry && typeof entry === 'object' && ['before', 'after'].some(hook => typeof entry[hook] === 'function')
+    if (!valid) throw new Error(`Invalid ${ description }: expecting functions or objects with 'before' and/or 'after' functions`)
+    return entry
+  })
+}
+
+/**
+ * run an action through the 'before' hooks of action middleware
+ *
+ * @param {Array} hooks hooks to run, in order
+ * @param {Object} action action to run through them
+ * @param {Object} context context passed to each hook
+ * @return {Array|Promise} actions to send to the model (or a Promise of them if any hook returned a Promise)
+ *
+ * hooks can return nothing to keep the action, a new action (or type string) to replace it, an array to fan out,
+ * or `null`, `false` or ABORT to drop it
+ */
+function runBeforeHooks(hooks, action, context) {
+  return hooks.reduce((actions, hook) => {
+    if (isPromise(actions)) return actions.then(list => runBeforeHook(hook, list, context))
+    return runBeforeHook(hook, actions, context)
+  }, [action])
+}
+
+function runBeforeHook(hook, actions, context) {
+  const results = actions.map(action => {
+    const result = hook(action, context)
+    return isPromise(result) ? result.then(value => toActions(value, action)) : toActions(result, action)
+  })
+  const flat = list => list.reduce((acc, items) => acc.concat(items), [])
+  return results.some(isPromise) ? Promise.all(results).then(flat) : flat(results)
+}
+
+function toActions(result, action) {
+  if (typeof result === 'undefined' || result === true) return [action]
+  if (result === null || result === false || result === ABORT) return []
+  const list = Array.isArray(result) ? result : [result]
+  return list.map(item => (typeof item === 'string') ? { type: item } : item).filter(item => {
+    if (item && typeof item.type === 'string') return true
+    throw new Error(`Action middleware returned an invalid action for <${ action.type }>: expecting an action object or type string`)
+  })
+}
+
+/**
+ * find the id of the request an action is handling (if any)
+ *
+ * @param {Object} action action to check
+ * @return {String|undefined} request id
+ *
+ * actions sent with `next()` while handling a request carry the id in their data
+ */
+function requestIdOf(action) {
+  if (!action) return undefined
+  return action._reqId || (action.req && action.req.id) || (action.data && typeof action.data === 'object' && action.data._reqId) || undefined
+}
+
+/**
+ * turn a value sent to the LOG sink into a log record
+ *
+ * @param {Any} value value returned by the reducer (a message string, or an object with `level`, `msg` and other fields)
+ * @param {Object} context `component`, `action` and `requestId` to add to the record
+ * @return {Object} log record
+ */
+function toLogRecord(value, context) {
+  const record = (value && typeof value === 'object') ? { ...value } : { msg: value }
+  Object.entries(context).forEach(([key, val]) => {
+    if (typeof record[key] === 'undefined' && typeof val !== 'undefined') record[key] = val
+  })
+  return record
+}
+
+
+
+/**
+ * create the EMIT source for events emitted by a component's sub-components
+ *
+ * @param {Stream} event$ events from the component's sub-components
+ * @return {Object} source with `select(selector).events(type)` and `events(type)`
+ *
+ * selectors are a component name ('TodoItem'), a sub-component id ('#main-menu') or '*' for every sub-component
+ * events look like `{ type, data, id, component }` where `id` is the sub-component's 'id' prop (or an id generated from its props)
+ * events from collection items also have the item's `itemKey`
+ */
+function makeEmitSource(event$) {
+  const matches = (selector, event) => {
+    if (!selector || selector === '*') return true
+    if (selector.startsWith('#')) return String(event.id) === selector.slice(1)
+    return event.component === selector
+  }
+  const select = (selector) => ({
+    events: (type='*') => event$
+      .filter(event => matches(selector, event) && (type === '*' || event.type === type))
+      .map(({ key, ...event }) => event)
+  })
+  return { select, events: (type) => select('*').events(type) }
+}
+
+/**
+ * turn a value sent to the EMIT sink into an event
+ *
+ * @param {String|Object} value event type, or `{ type, data }`
+ * @param {String} component name of the emitting component
+ * @return {Object} `{ type, data, component }`
+ */
+function toEmitEvent(value, component) {
+  if (typeof value === 'string') return { type: value, data: undefined, component }
+  const { type, data } = value || {}
+  return { type, data, component }
+}
+
+/**
+ * unmount the components created for a sub-component element and end its props and children
+ *
+ * @param {Object} entry sub-component entry created in initVdom$()
+ */
+function unmountEntry(entry) {
+  entry.instances.forEach(instance => latest(instance).unmount())
+  entry.instances.clear()
+  entry.props$.shamefullySendComplete()
+  entry.children$.shamefullySendComplete()
+}
+
+/**
+ * get the default name of the state source for components being created
+ *
+ * @return {String} the `stateName` the app was run with (see run()), or 'STATE'
+ */
+function appStateSourceName() {
+  const app = activeApp()
+  return (app && app.stateSourceName) || 'STATE'
+}
+
+/**
+ * check whether a model has a state reducer for an action
+ *
+ * @param {Object} model component model
+ * @param {String} type action type
+ * @param {String} stateSourceName name of the state sink
+ * @return {Boolean}
+ */
+function hasStateReducer(model, type, stateSourceName) {
+  const entry = model && model[type]
+  if (typeof entry === 'function') return true
+  return !!entry && typeof entry === 'object' && typeof entry[stateSourceName] !== 'undefined'
+}
+
+/**
+ * follow hot() replacements to the instance currently running
+ *
+ * @param {Component} instance component instance
+ * @return {Component} the instance that replaced it (or the instance itself)
+ */
+function latest(instance) {
+  let current = instance
+  while (current.replacedBy) current = current.replacedBy
+  return current
+}
+
+/**
+ * pass a stream through, calling a function once nothing is listening to it anymore
+ *
+ * @param {Stream} stream stream to pass through
+ * @param {Function} onRemoved called when the last listener is removed (ex. when a collection drops an item)
+ * @return {Stream}
+ *
+ * xstream waits a tick before stopping, so a listener that is removed and added right back doesn't count
+ */
+function untilRemoved(stream, onRemoved) {
+  let subscription
+  return xs.create({
+    start: listener => { subscription = stream.subscribe(listener) },
+    stop:  () => {
+      if (subscription) subscription.unsubscribe()
+      onRemoved()
+    }
+  }).remember()
+}
+
+function shallowEqual(a, b) {
+  if (a === b) return true
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]))
+}
+
+
+
+/**
+ * shallow merge restored state over existing state
+ *
+ * @param {Any} state existing state
+ * @param {Any} restored state restored from a snapshot
+ * @return {Any} merged state when both are objects, otherwise the restored state
+ */
+function mergeState(state, restored) {
+  if (state && restored && typeof state === 'object' && typeof restored === 'object' && !Array.isArray(restored)) {
+    return { ...state, ...restored }
+  }
+  return (typeof restored === 'undefined') ? state : restored
+}
+
+function catchErrors(fn, onError) {
+  return (...args) => {
+    try {
+      return fn(...args)
+    } catch(err) {
+      return onError(err, ...args)
+    }
+  }
+}
+
+/**
+ * check whether a reducer returned something that will resolve later
+ *
+ * @param {Any} value value returned from a reducer
+ * @return {Boolean} true for Promises (or any 'thenable') and xstream Streams
+ */
+function isAsync(value) {
+  if (value instanceof Stream) return true
+  return isPromise(value)
+}
+
+function isPromise(value) {
+  return !!value && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function'
+}
+
 function getComponents(currentElement, componentNames, isNestedElement=false) {
   if (!currentElement) return {}
 
@@ -751,7 +1758,7 @@ function getComponents(currentElement, componentNames, isNestedElement=false) {
   const sel          = currentElement.sel
   const isCollection = sel && sel.toLowerCase() === 'collection'
   const isSwitchable = sel && sel.toLowerCase() === 'switchable'
-  const isComponent  = sel && (['collection', 'swtichable', ...componentNames].includes(currentElement.sel))
+  const isComponent  = sel && (['collection', 'switchable', ...componentNames].includes(currentElement.sel))
   const props        = (currentElement.data && currentElement.data.props) || {}
   const children     = currentElement.children || []
 
@@ -763,7 +1770,7 @@ function getComponents(currentElement, componentNames, isNestedElement=false) {
       if (!props.component)                            throw new Error(`Collection element missing required 'component' property`)
       if (typeof props.component !== 'string')         throw new Error(`Invalid 'component' property of collection element: found ${ typeof props.component } requires string`)
       if (!componentNames.includes(props.component))   throw new Error(`Specified component for collection not found: ${ props.component }`)
-      if (!props.value || !Array.isArray(props.value)) console.warn(`No valid array found in the 'value' property of collection ${ props.component }: no collection components will be created`)
+      if (!props.value || !Array.isArray(props.value)) defaultLogger.warn(`No valid array found in the 'value' property of collection ${ props.component }: no collection components will be created`)
       currentElement.data.isCollection = true
       currentElement.data.component = props.component
       // currentElement.data.componentArray = props.value
@@ -794,33 +1801,26 @@ function getComponents(currentElement, componentNames, isNestedElement=false) {
   return found
 }
 
-function injectComponents(currentElement, components, componentNames, isNestedElement=false) {
+function injectComponents(currentElement, components, componentNames) {
   if (!currentElement) return
-  if (currentElement.data?.componentsInjected) return currentElement
-  if (!isNestedElement && currentElement.data) currentElement.data.componentsInjected = true
-
 
+  // the view's vnodes are copied instead of changed, so each new render of a sub-component can be injected into them again
   const sel          = currentElement.sel || 'NO SELECTOR'
-  const isComponent  = ['collection', 'swtichable', ...componentNames].includes(sel)
+  const isComponent  = ['collection', 'switchable', ...componentNames].includes(sel)
   const isCollection = currentElement?.data?.isCollection
-  const isSwitchable = currentElement?.data?.isSwitchable
-  const props        = (currentElement.data && currentElement.data.props) || {}
   const children     = currentElement.children || []
 
   if (isComponent) {
     const id  = getComponentIdFromElement(currentElement)
     const component = components[id]
     if (isCollection) {
-      currentElement.sel = 'div'
-      delete currentElement.elm
-      currentElement.children = component
-      return currentElement
+      const { elm, ...element } = currentElement
+      return { ...element, sel: 'div', children: component }
     } else {
       return component
     }
   } else if (children.length > 0) {
-    currentElement.children = children.map(child => injectComponents(child, components, componentNames)).flat()
-    return currentElement
+    return { ...currentElement, children: children.map(child => injectComponents(child, components, componentNames)).flat() }
   } else {
     return currentElement
   }
@@ -828,7 +1828,12 @@ function injectComponents(currentElement, components, componentNames, isNestedEl
 
 function getComponentIdFromElement(el) {
   const sel   = el.sel
-  const props = (el.data && el.data.props) || {}
-  const id = (props.id && JSON.stringify(props.id)) || JSON.stringify(props)
+  // 'on' only maps the sub-component's events, so changing it doesn't make a new instance
+  const { on, ...props } = (el.data && el.data.props) || {}
+  // switchable and collection elements keep the same instance when only the 'current' component or 'value' array changes
+  const { current, ...switchableProps } = props
+  const { value, ...collectionProps }   = props
+  const idProps = (sel === 'switchable') ? switchableProps : (sel === 'collection') ? collectionProps : props
+  const id = (props.id && JSON.stringify(props.id)) || JSON.stringify(idProps)
   return `${ sel }::${ id }`
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+'use strict'
+
+import { default as xs, Stream } from 'xstream'
+import { default as dropRepeats } from 'xstream/extra/dropRepeats.js'
+
+
+
+/**
+ * create a context source with values provided by a component layered over the ones from its ancestors
+ *
+ * @param {Object} parent context source from the component's ancestors (if any)
+ * @param {Object} provided maps context names to values, streams, or functions of the providing component's state
+ * @param {Stream} state$ providing component's state (used for function values)
+ * @return {Object} context source with a `stream` of the whole context and `select(name)` for single values
+ *
+ * values provided lower in the tree override values with the same name from higher up
+ */
+export default function makeContextSource(parent, provided, state$) {
+  const parent$ = (parent && parent.stream) || xs.of({})
+
+  const entries = Object.entries(provided || {}).map(([name, value]) => {
+    if (value instanceof Stream) return [name, value]
+    if (typeof value === 'function') {
+      if (!state$) throw new Error(`Context value '${ name }' is a function of state, but the component has no state`)
+      return [name, state$.map(value)]
+    }
+    return [name, xs.of(value)]
+  })
+
+  const names  = entries.map(([name]) => name)
+  const stream = xs.combine(parent$, ...entries.map(([_, value$]) => value$))
+    .map(([inherited, ...values]) => names.reduce((acc, name, index) => {
+      acc[name] = values[index]
+      return acc
+    }, { ...inherited }))
+    .compose(dropRepeats(shallowEqual))
+    .remember()
+
+  return {
+    stream,
+    select: (name) => stream.map(context => context[name]).compose(dropRepeats()).remember()
+  }
+}
+
+/**
+ * follow a context stream for a view, letting through only changes to names the view used
+ *
+ * @param {Stream} context$ stream of context objects
+ * @return {Object} `{ stream, track }` where `track()` returns the context to pass to the view for each render
+ *
+ * the object returned by `track()` records which names the view reads,
+ * so components that don't use a changed value aren't re-rendered
+ */
+export function trackContext(context$) {
+  const reads = new Set()
+  let latest
+  let rendered = false
+
+  const stream = context$.filter(context => {
+    const previous = latest
+    latest = context
+    if (!rendered || !previous) return true
+    return [ ...reads ].some(name => !Object.is(previous[name], context[name]))
+  })
+
+  const track = () => {
+    rendered = true
+    reads.clear()
+    const context = latest || {}
+    return Object.keys(context).reduce((acc, name) => {
+      Object.defineProperty(acc, name, {
+        enumerable: true,
+        get: () => {
+          reads.add(name)
+          return context[name]
+        }
+      })
+      return acc
+    }, {})
+  }
+
+  return { stream, track }
+}
+
+
+
+function shallowEqual(a, b) {
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]))
+}
@@ -2,33 +2,219 @@
 
 import xs from 'xstream'
 import { adapt } from '@cycle/run/lib/adapt'
+import { logger } from './logger'
 
 
 
+const log = logger.child({ component: 'events' })
+
+const DEFAULT_REQUEST_TIMEOUT = 5000
+
+let eventCounter = 0
+
+/**
+ * event bus driver with the default options (see makeEventBusDriver())
+ */
 export default function eventBusDriver(out$) {
-  const events = new EventTarget()
+  return makeEventBusDriver()(out$)
+}
 
-  out$.subscribe({
-    next: event => events.dispatchEvent(new CustomEvent('data', { detail: event }))
-  })
+/**
+ * create an event bus driver
+ *
+ * @param {Object} options event bus options
+ * @param {Boolean} options.replay send the last matching event to new subscribers
+ * @param {String|Object} options.bridge BroadcastChannel name, or a port to share events through (BroadcastChannel, MessagePort, Worker, or worker_threads parentPort)
+ * @param {Number} options.timeout default milliseconds to wait for replies to requests
+ * @return {Function} cycle driver
+ *
+ * the sink accepts `{ type, data }` events, where `type` can be namespaced with dots ('cart.add')
+ * the source has:
+ * - select(type, options) stream of the `data` of matching events
+ * - events(type, options) stream of whole `{ type, data, id }` events
+ * - ask(type, data, options) stream that sends a request event and emits the reply (or errors if none arrives within `timeout`)
+ * - reply(request, data) builds the sink event that answers a request received from events()
+ * `type` can be a string, an array of strings, or empty for every event
+ * `*` matches a single segment of a type ('cart.*') and `**` matches any number of segments ('app.**')
+ * events from a bridge are delivered locally but never sent back through the bridge
+ */
+export function makeEventBusDriver(options={}) {
+  const { replay = false, bridge, timeout = DEFAULT_REQUEST_TIMEOUT } = options
 
-  return {
-    select: (type) => {
-      const all = !type
-      const _type = (Array.isArray(type)) ? type : [type]
+  return function eventBusDriver(out$) {
+    const events = new EventTarget()
+    const last   = new Map()
+    const port   = openBridge(bridge)
+
+    const deliver = (event) => {
+      if (!event || typeof event !== 'object') return
+      if (!event.replyTo) {
+        last.delete(event.type)
+        last.set(event.type, event)
+      }
+      events.dispatchEvent(new CustomEvent('data', { detail: event }))
+    }
+
+    const send = (event) => {
+      if (!event || typeof event !== 'object') return
+      const stamped = event.id ? event : { ...event, id: makeEventId() }
+      deliver(stamped)
+      if (port) port.post(stamped)
+    }
+
+    if (port) port.listen(deliver)
+
+    out$.subscribe({
+      next: send,
+      error: err => log.error(`Event bus error: ${ err && err.message }`, { error: err }),
+      complete: () => port && port.close()
+    })
+
+    const listen = (type, selectOptions={}) => {
+      const { replay: replayLast = replay } = selectOptions
+      const patterns = (Array.isArray(type)) ? type : [type]
+      const all      = !type || patterns.length === 0
+      const matches  = (event) => !event.replyTo && (all || patterns.some(pattern => matchEventType(pattern, event.type)))
       let cb
-      const in$ = xs.create({
+      return xs.create({
         start: (listener) => {
+          if (replayLast) {
+            const latest = [ ...last.values() ].reverse().find(matches)
+            if (latest) listener.next(latest)
+          }
           cb = ({detail: event}) => {
-            const data = (event && event.data) || null
-            if (all || _type.includes(event.type)) listener.next(data)
+            if (matches(event)) listener.next(event)
           }
           events.addEventListener('data', cb)
         },
         stop: _ => events.removeEventListener('data', cb)
       })
+    }
+
+    return {
+      select: (type, selectOptions) => adapt(listen(type, selectOptions).map(event => (event && event.data) || null)),
 
-      return adapt(in$)
+      events: (type, selectOptions) => adapt(listen(type, selectOptions)),
+
+      ask: (type, data, requestOptions={}) => {
+        const { timeout: wait = timeout } = requestOptions
+        const id = makeEventId()
+        let cb
+        let timer
+        const reply$ = xs.create({
+          start: (listener) => {
+            cb = ({detail: event}) => {
+              if (!event || event.replyTo !== id) return
+              clearTimeout(timer)
+              if (event.error) {
+                listener.error(new Error(event.error))
+              } else {
+                listener.next(event.data)
+                listener.complete()
+              }
+            }
+            events.addEventListener('data', cb)
+            timer = setTimeout(() => listener.error(new Error(`Request '${ type }' timed out after ${ wait }ms`)), wait)
+            send({ type, data, id, request: true })
+          },
+          stop: () => {
+            clearTimeout(timer)
+            events.removeEventListener('data', cb)
+          }
+        })
+        return adapt(reply$)
+      },
+
+      reply: (request, data) => {
+        if (!request || !request.id) throw new Error('reply() needs a request event received from events()')
+        if (data instanceof Error) return { type: request.type, replyTo: request.id, error: data.message }
+        return { type: request.type, replyTo: request.id, data }
+      }
+    }
+  }
+}
+
+/**
+ * check an event type against a pattern
+ *
+ * @param {String} pattern event type, optionally with wildcards ('cart.*', 'app.**')
+ * @param {String} type event type to check
+ * @return {Boolean} whether the type matches
+ */
+export function matchEventType(pattern, type) {
+  if (pattern === type) return true
+  if (typeof pattern !== 'string' || typeof type !== 'string') return false
+  if (!pattern.includes('*')) return false
+
+  const patternParts = pattern.split('.')
+  const typeParts    = type.split('.')
+
+  const match = (p, t) => {
+    if (p === patternParts.length) return t === typeParts.length
+    if (patternParts[p] === '**') {
+      for (let skip = t; skip <= typeParts.length; skip++) {
+        if (match(p + 1, skip)) return true
+      }
+      return false
+    }
+    if (t === typeParts.length) return false
+    if (patternParts[p] !== '*' && patternParts[p] !== typeParts[t]) return false
+    return match(p + 1, t + 1)
+  }
+
+  return match(0, 0)
+}
+
+
+
+function makeEventId() {
+  eventCounter++
+  return `${ Date.now().toString(36) }-${ eventCounter.toString(36) }-${ Math.random().toString(36).slice(2, 8) }`
+}
+
+/**
+ * wrap a BroadcastChannel name or message port in a common interface
+ *
+ * @param {String|Object} bridge BroadcastChannel name, or an object with postMessage()
+ * @return {Object|undefined} `{ post, listen, close }`
+ */
+function openBridge(bridge) {
+  if (!bridge) return undefined
+
+  let port  = bridge
+  let owned = false
+  if (typeof bridge === 'string') {
+    if (typeof BroadcastChannel === 'undefined') {
+      log.warn(`BroadcastChannel is not available: events will not be shared on '${ bridge }'`)
+      return undefined
+    }
+    port  = new BroadcastChannel(bridge)
+    owned = true
+    // don't keep Node processes alive just for the channel
+    if (typeof port.unref === 'function') port.unref()
+  }
+
+  if (typeof port.postMessage !== 'function') throw new Error('Event bus bridges must be a BroadcastChannel name or have a postMessage() method')
+
+  return {
+    post: (event) => {
+      try {
+        port.postMessage(event)
+      } catch(err) {
+        log.warn(`Unable to share event '${ event.type }' through the event bus bridge: ${ err.message }`)
+      }
+    },
+    listen: (deliver) => {
+      // Node ports (worker_threads) pass the message itself, browser ports pass a MessageEvent
+      if (typeof port.on === 'function') {
+        port.on('message', deliver)
+      } else {
+        port.addEventListener('message', e => deliver(e.data))
+        if (typeof port.start === 'function') port.start()
+      }
+    },
+    close: () => {
+      if (owned) port.close()
     }
   }
 }
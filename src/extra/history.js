@@ -0,0 +1,244 @@
+'use strict'
+
+import { default as xs } from 'xstream'
+import { activeApp } from '../app'
+
+
+
+// details about the reducer currently being applied to the root state
+// (reducers run synchronously, so this is only ever set while a root reducer is executing)
+let activeReducer = null
+
+// actions components send themselves (a fresh app sends these on its own, so replay() doesn't repeat them)
+const GENERATED_ACTIONS = ['BOOTSTRAP', 'INITIALIZE', 'HYDRATE', 'MOUNT', 'UNMOUNT', 'PROPS_CHANGED', 'COMPONENT_ERROR']
+
+/**
+ * create a recorder for every state change made by an app
+ *
+ * @param {Object} options history options
+ * @param {Number} options.limit maximum number of entries to keep (oldest entries are dropped first)
+ * @return {Object} history recorder to pass to withHistory()
+ *
+ * each entry records the action `type` and `data`, the `component` name, and the root state `before` and `after` the change
+ * `undo()`, `redo()` and `jumpTo(index)` set the app state to any recorded point without adding new entries
+ * `toJSON()` exports the log, and `replay(log)` plays an exported log back into a fresh app (see replay() below)
+ */
+export default function createHistory(options={}) {
+  const { limit = 1000 } = options
+
+  let entries   = []
+  let cursor    = -1
+  let listeners = []
+
+  const setState$ = xs.create()
+
+  const notify = () => listeners.forEach(listener => listener(history))
+
+  const setState = (state) => setState$.shamefullySendNext(() => state)
+
+  const history = {
+    get entries() { return entries },
+    get index()   { return cursor },
+    get canUndo() { return cursor >= 0 },
+    get canRedo() { return cursor < entries.length - 1 },
+    get state()   { return (cursor >= 0) ? entries[cursor].after : (entries[0] && entries[0].before) },
+
+    record: (before, after, details={}) => {
+      if (cursor < entries.length - 1) entries = entries.slice(0, cursor + 1)
+      const { type = null, data, component = null, followUp = false } = details
+      entries.push({ index: entries.length, type, data, component, followUp, before, after, timestamp: Date.now() })
+      if (entries.length > limit) {
+        entries = entries.slice(entries.length - limit).map((entry, index) => ({ ...entry, index }))
+      }
+      cursor = entries.length - 1
+      notify()
+    },
+
+    undo: () => {
+      if (!history.canUndo) return false
+      setState(entries[cursor].before)
+      cursor--
+      notify()
+      return true
+    },
+
+    redo: () => {
+      if (!history.canRedo) return false
+      cursor++
+      setState(entries[cursor].after)
+      notify()
+      return true
+    },
+
+    jumpTo: (index) => {
+      if (typeof index !== 'number' || index < -1 || index >= entries.length) {
+        throw new Error(`Invalid history index: ${ index } (must be between -1 and ${ entries.length - 1 })`)
+      }
+      if (entries.length === 0) return false
+      cursor = index
+      setState((index === -1) ? entries[0].before : entries[index].after)
+      notify()
+      return true
+    },
+
+    clear: () => {
+      entries = []
+      cursor  = -1
+      notify()
+    },
+
+    toJSON: () => safeStringify({ version: 1, entries: entries.map(({ type, data, component, followUp, before, after, timestamp }) => ({ type, data, component, followUp, before, after, timestamp })) }),
+
+    /**
+     * play an exported log back into the app this history is attached to
+     *
+     * @param {String|Object|Array} log log exported by toJSON() (or its entries)
+     * @param {Object} options replay options
+     * @param {String} options.mode 'actions' (default) to dispatch the recorded actions again, or 'states' to only set the recorded states
+     * @param {Number} options.interval milliseconds to wait between steps (defaults to 20 for 'actions' and 0 for 'states')
+     * @return {Promise} resolves to the history once every entry has been played
+     *
+     * in 'actions' mode the app starts from the state before the first replayed action, and each action is sent to the
+     * component that handled it (found by name), so the current reducers and every sink run again and new entries are recorded
+     * actions a fresh app sends by itself (lifecycle actions, and ones sent with `next()`) aren't dispatched again
+     * when a component name matches no mounted component or several (ex. collection items) the recorded state is set instead
+     * 'states' mode only sets the recorded states, so it shows what happened without running any app code
+     */
+    replay: (log, replayOptions={}) => {
+      const { mode = 'actions' } = replayOptions
+      if (!['actions', 'states'].includes(mode)) throw new Error(`Invalid replay mode: ${ mode } (expecting 'actions' or 'states')`)
+      const { interval = (mode === 'actions') ? 20 : 0 } = replayOptions
+      const parsed = (typeof log === 'string') ? JSON.parse(log) : log
+      const loaded = Array.isArray(parsed) ? parsed : (parsed && parsed.entries)
+      if (!Array.isArray(loaded)) throw new Error('Invalid history log: expecting an exported log or an array of entries')
+      if (mode === 'actions' && !history.app) throw new Error("Replaying actions requires a history attached to a running app with withHistory() (use { mode: 'states' } otherwise)")
+
+      if (mode === 'actions') return replayActions(loaded, interval)
+
+      entries = loaded.map((entry, index) => ({ ...entry, index }))
+      cursor  = -1
+      if (entries.length === 0) return Promise.resolve(history)
+
+      setState(entries[0].before)
+      notify()
+
+      return playSteps(() => history.canRedo && history.redo(), interval)
+    },
+
+    subscribe: (listener) => {
+      listeners.push(listener)
+      return () => listeners = listeners.filter(existing => existing !== listener)
+    },
+
+    setState$,
+
+    // set by withHistory() to the app the history records
+    app: null
+  }
+
+  // entries are recorded again as the actions are handled
+  const replayActions = (loaded, interval) => {
+    const replayed = loaded.filter(entry => entry.type && !entry.followUp && !GENERATED_ACTIONS.includes(entry.type))
+    history.clear()
+    if (replayed.length === 0) return Promise.resolve(history)
+
+    setState(replayed[0].before)
+
+    let position = 0
+    return playSteps(() => {
+      if (position >= replayed.length) return false
+      const entry   = replayed[position++]
+      const matches = [...history.app.components].filter(component => component.name === entry.component && !component.unmounted && component.action$)
+      if (matches.length === 1) {
+        matches[0].dispatch({ type: entry.type, data: entry.data })
+      } else {
+        setState(entry.after)
+      }
+      return true
+    }, interval)
+  }
+
+  const playSteps = (step, interval) => new Promise(resolve => {
+    const next = () => {
+      if (!step()) return resolve(history)
+      if (interval > 0) {
+        setTimeout(next, interval)
+      } else {
+        next()
+      }
+    }
+    next()
+  })
+
+  return history
+}
+
+/**
+ * wrap a main function so every change to its root state is recorded
+ *
+ * @param {Function} main cycle main function (usually the root component)
+ * @param {Object} history recorder created with createHistory()
+ * @param {String} stateSourceName name of the state source
+ * @return {Function} wrapped main function meant to be passed to withState() (or run())
+ */
+export function withHistory(main, history, stateSourceName='STATE') {
+  if (!history || typeof history.record !== 'function') throw new Error('withHistory() requires a recorder created with createHistory()')
+
+  return (sources) => {
+    history.app    = activeApp() || null
+    const sinks    = main(sources)
+    const reducer$ = (sinks[stateSourceName] || xs.never()).map(reducer => (state) => {
+      const previous = activeReducer
+      const details  = {}
+      activeReducer  = details
+      let newState
+      try {
+        newState = reducer(state)
+      } finally {
+        activeReducer = previous
+      }
+      if (newState !== state) history.record(state, newState, details)
+      return newState
+    })
+
+    return { ...sinks, [stateSourceName]: xs.merge(reducer$, history.setState$) }
+  }
+}
+
+/**
+ * note which component and action produced the root reducer currently being applied
+ *
+ * @param {String} component name of the component running the reducer
+ * @param {Object} action the action being reduced
+ *
+ * called by components while running state reducers, only the first (outermost) call for each root reducer is kept
+ */
+export function noteReducer(component, action) {
+  if (!activeReducer || activeReducer.type) return
+  activeReducer.component = component
+  activeReducer.type      = action && action.type
+  activeReducer.data      = action && action.data
+  activeReducer.followUp  = !!(action && action.followUp)
+}
+
+/**
+ * stringify a value that may contain functions, DOM events or circular references
+ *
+ * @param {Any} value value to stringify
+ * @return {String} JSON
+ */
+function safeStringify(value) {
+  const sanitize = (val, ancestors) => {
+    if (typeof val === 'function') return undefined
+    if (!val || typeof val !== 'object') return val
+    if (typeof val.toJSON === 'function') return val.toJSON()
+    if (ancestors.includes(val)) return '[Circular]'
+    const path = [ ...ancestors, val ]
+    if (Array.isArray(val)) return val.map(item => sanitize(item, path))
+    return Object.keys(val).reduce((acc, key) => {
+      acc[key] = sanitize(val[key], path)
+      return acc
+    }, {})
+  }
+  return JSON.stringify(sanitize(value, []))
+}
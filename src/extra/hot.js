@@ -0,0 +1,83 @@
+'use strict'
+
+import { default as xs, MemoryStream } from 'xstream'
+import { captureComponent } from '../component'
+import { runInApp } from '../app'
+import { logger } from './logger'
+
+
+
+const log = logger.child({ component: 'hot' })
+
+const DATA_KEY = 'cyclejs-component'
+
+/**
+ * make a component swappable with hot module replacement
+ *
+ * @param {Function} factory component factory returned by component()
+ * @param {Object} hotApi the module's HMR API: `module.hot` (webpack, parcel) or `import.meta.hot` (vite, snowpack)
+ * @param {String} key name for the component within its module (defaults to the component's name)
+ * @return {Function} component factory to use (and export) in place of the original
+ *
+ * when the module is edited and re-executed, every mounted instance of the component is rebuilt
+ * with the new view, model, intent, etc. while keeping its current state and the sub-components created by its view
+ * the rebuilt instance doesn't get INITIALIZE or BOOTSTRAP actions again
+ * when there's no HMR API (ex. production builds) the factory is returned as is
+ */
+export default function hot(factory, hotApi, key) {
+  if (!hotApi || typeof hotApi.accept !== 'function') return factory
+  if (typeof factory !== 'function') throw new Error('hot() requires a component factory (the result of component() without sources)')
+
+  const name    = key || factory.componentName || 'default'
+  const dataKey = `${ DATA_KEY }:${ name }`
+  const stored  = hotApi.data && hotApi.data[dataKey]
+  const entry   = stored || { factory, mounted: new Set(), proxy: null }
+
+  if (typeof hotApi.dispose === 'function') hotApi.dispose(data => { data[dataKey] = entry })
+  hotApi.accept()
+
+  if (stored) {
+    entry.factory = factory
+    swapMounted(entry, name)
+    // modules importing the original factory keep using it, so it has to build from the latest definition
+    return entry.proxy
+  }
+
+  entry.proxy = (sources) => mount(entry, sources)
+  entry.proxy.componentName = factory.componentName
+  return entry.proxy
+}
+
+
+
+function mount(entry, sources) {
+  const { sinks, instance } = captureComponent(() => entry.factory({ ...sources }))
+  const record = { sources, instance, swap$: xs.createWithMemory() }
+  record.swap$.shamefullySendNext(sinks)
+  entry.mounted.add(record)
+
+  // sinks are switched to the ones built from the new definition on every swap
+  return Object.entries(sinks).reduce((acc, [name, sink$]) => {
+    const switched$ = record.swap$.map(sinks => sinks[name] || xs.never()).flatten()
+    acc[name] = (sink$ instanceof MemoryStream) ? switched$.remember() : switched$
+    return acc
+  }, {})
+}
+
+function swapMounted(entry, name) {
+  entry.mounted.forEach(record => {
+    const previous = record.instance
+    // instances that were unmounted, or are from apps that have since been disposed, are forgotten
+    if (previous && (previous.unmounted || previous.app.disposed)) return entry.mounted.delete(record)
+
+    try {
+      const build = () => captureComponent(() => entry.factory({ ...record.sources }), previous)
+      const { sinks, instance } = previous ? runInApp(previous.app, build) : build()
+      record.instance = instance
+      record.swap$.shamefullySendNext(sinks)
+      log.info(`Updated component '${ name }'`, { name })
+    } catch(err) {
+      log.error(`Unable to update component '${ name }', keeping the previous version: ${ err.message }`, { name, error: err })
+    }
+  })
+}
@@ -0,0 +1,88 @@
+'use strict'
+
+import { default as xs } from 'xstream'
+
+
+
+export const STATE_SNAPSHOT_KEY = '__CYCLEJS_COMPONENT_STATE__'
+
+/**
+ * wrap a main function so its state starts from a previously captured snapshot
+ *
+ * @param {Function} main cycle main function (usually the root component)
+ * @param {Any} initialState state snapshot to start from
+ * @param {String} stateSourceName name of the state source
+ * @return {Function} wrapped main function meant to be passed to withState()
+ *
+ * the state source is flagged as `hydrated` so the root component (and isolated children) keep the snapshot
+ * (shallow merged over their own `initialState`) instead of replacing it
+ */
+export default function withInitialState(main, initialState, stateSourceName='STATE') {
+  return (sources) => {
+    const stateSource = sources[stateSourceName]
+    if (stateSource) stateSource.hydrated = true
+
+    const sinks  = main(sources)
+    const seed$  = xs.of(() => initialState)
+    const state$ = sinks[stateSourceName] || xs.never()
+
+    return { ...sinks, [stateSourceName]: xs.merge(seed$, state$) }
+  }
+}
+
+/**
+ * wrap a main function so state arriving later (ex. from async storage) is merged into its root state
+ *
+ * @param {Function} main cycle main function (usually the root component)
+ * @param {Stream} hydrate$ stream of state snapshots to merge into the root state
+ * @param {String} stateSourceName name of the state source
+ * @return {Function} wrapped main function meant to be passed to withState()
+ *
+ * each snapshot is delivered to the root component as a HYDRATE action,
+ * which shallow merges it into the current state unless the root component's model handles HYDRATE itself
+ */
+export function withHydration(main, hydrate$, stateSourceName='STATE') {
+  return (sources) => {
+    const stateSource = sources[stateSourceName]
+    if (stateSource) stateSource.hydrate$ = hydrate$
+    return main(sources)
+  }
+}
+
+/**
+ * serialize a state snapshot so it can be safely embedded in an HTML page
+ *
+ * @param {Any} state state to serialize
+ * @return {String} JSON with characters that could break out of a script tag escaped
+ */
+export function serializeState(state) {
+  return (JSON.stringify(state) || 'null')
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+}
+
+/**
+ * create a script tag that makes a state snapshot available to `run()` on the client
+ *
+ * @param {Any} state state to embed
+ * @param {String} key global variable name used for the snapshot
+ * @return {String} HTML script tag
+ */
+export function stateSnapshotScript(state, key=STATE_SNAPSHOT_KEY) {
+  return `<script>window[${ JSON.stringify(key) }] = ${ serializeState(state) }</script>`
+}
+
+/**
+ * read and remove a state snapshot embedded by the server
+ *
+ * @param {String} key global variable name used for the snapshot
+ * @return {Any} the snapshot, or `undefined` if there isn't one
+ */
+export function consumeStateSnapshot(key=STATE_SNAPSHOT_KEY) {
+  if (typeof window === 'undefined' || typeof window[key] === 'undefined') return undefined
+  const snapshot = window[key]
+  delete window[key]
+  return snapshot
+}
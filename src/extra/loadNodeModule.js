@@ -0,0 +1,15 @@
+'use strict'
+
+/**
+ * load a Node.js built in module without a static require()
+ *
+ * @param {String} name module name (ex. 'fs')
+ * @return {Object} the module
+ *
+ * avoids a static require() so browser bundlers don't try to include Node modules
+ */
+export default function loadNodeModule(name) {
+  const nodeRequire = (typeof module !== 'undefined' && typeof module.require === 'function') ? module.require.bind(module) : null
+  if (!nodeRequire) throw new Error(`Unable to load the '${ name }' module: pass it in explicitly when not running in Node.js`)
+  return nodeRequire(name)
+}
@@ -1,9 +1,10 @@
 'use strict'
 
+import { makeLogDriver } from './logger'
+
+/**
+ * LOG driver that sends everything it receives to the default logger (see makeLogDriver())
+ */
 export default function logDriver(out$) {
-  out$.addListener({
-    next: (val) => {
-      console.log(val)
-    }
-  })
-}
\ No newline at end of file
+  return makeLogDriver()(out$)
+}
@@ -0,0 +1,219 @@
+'use strict'
+
+import loadNodeModule from './loadNodeModule'
+
+
+
+const ENVIRONMENT = ((typeof window != 'undefined' && window) || (typeof process != 'undefined' && process.env)) || {}
+
+export const LEVELS = {
+  trace:  10,
+  debug:  20,
+  info:   30,
+  warn:   40,
+  error:  50,
+  silent: Infinity
+}
+
+/**
+ * create a leveled logger that sends structured records to transports
+ *
+ * @param {Object} options logger options
+ * @param {String} options.level lowest level to log ('trace', 'debug', 'info', 'warn', 'error' or 'silent')
+ * @param {Array|String|RegExp|Function} options.components only log records from these component names
+ * @param {Array|String|RegExp|Function} options.exclude never log records from these component names
+ * @param {Array} options.transports functions (or objects with a `write()` method) that receive each record
+ * @param {Object} options.fields fields added to every record
+ * @return {Object} logger
+ *
+ * records look like `{ time, level, msg, component, action, requestId, ...fields }`
+ * the logger has `trace()`, `debug()`, `info()`, `warn()` and `error()` methods accepting `(msg, fields)`,
+ * `child(fields)` to create a logger that adds fields to every record (sharing the parent's settings),
+ * `isEnabled(level, component)`, and `configure(options)` to change settings at runtime
+ */
+export default function createLogger(options={}) {
+  const config = { level: defaultLevel(), transports: [consoleTransport()] }
+  configure(config, options)
+  return makeLogger(config, options.fields || {})
+}
+
+/**
+ * the logger used by components, the LOG driver and the other built in drivers
+ */
+export const logger = createLogger()
+
+/**
+ * change the settings of the default logger
+ *
+ * @param {Object} options same options as createLogger()
+ * @return {Object} the default logger
+ */
+export function configureLogging(options={}) {
+  return logger.configure(options)
+}
+
+/**
+ * create a LOG driver that sends everything it receives to a logger
+ *
+ * @param {Object} target logger to use (defaults to the default logger)
+ * @return {Function} cycle driver
+ *
+ * strings are logged at 'info' level, objects can set `level` and `msg` (or `message`) and any other fields
+ */
+export function makeLogDriver(target) {
+  return function logDriver(out$) {
+    out$.addListener({
+      next: (val) => {
+        const _logger = target || logger
+        if (!val || typeof val !== 'object') return _logger.info(String(val))
+        const { level = 'info', msg, message, _action, _reqId, ...fields } = val
+        const text = (typeof msg !== 'undefined') ? msg : message
+        if (_action && typeof fields.action === 'undefined') fields.action = _action
+        if (_reqId && typeof fields.requestId === 'undefined') fields.requestId = _reqId
+        _logger.log(LEVELS[level] ? level : 'info', (typeof text === 'undefined') ? '' : String(text), fields)
+      },
+      error: err => (target || logger).error(err && err.message, { error: err })
+    })
+  }
+}
+
+/**
+ * transport that writes records to the console
+ *
+ * @param {Object} options transport options
+ * @param {Boolean} options.json write each record as a line of JSON instead of readable text
+ * @return {Function} transport
+ */
+export function consoleTransport(options={}) {
+  const { json = false } = options
+  const methods = { trace: 'debug', debug: 'debug', info: 'log', warn: 'warn', error: 'error' }
+  return (record) => {
+    const method = console[methods[record.level]] ? methods[record.level] : 'log'
+    if (json) return console[method](JSON.stringify(record))
+    const { time, level, msg, component, ...fields } = record
+    const prefix = component ? `[${ component }] ` : ''
+    const extra  = Object.keys(fields).length > 0 ? [fields] : []
+    console[method](`${ prefix }${ msg }`, ...extra)
+  }
+}
+
+/**
+ * transport that keeps records in memory (useful for tests)
+ *
+ * @param {Object} options transport options
+ * @param {Number} options.limit maximum number of records to keep (oldest records are dropped first)
+ * @return {Function} transport with `records` and `clear()`
+ */
+export function memoryTransport(options={}) {
+  const { limit = 1000 } = options
+  const transport = (record) => {
+    transport.records.push(record)
+    if (transport.records.length > limit) transport.records.splice(0, transport.records.length - limit)
+  }
+  transport.records = []
+  transport.clear   = () => transport.records.splice(0)
+  return transport
+}
+
+/**
+ * transport that appends records to a file as lines of JSON (Node only)
+ *
+ * @param {String} path file to write to
+ * @param {Object} fs Node `fs` module (loaded automatically if not provided)
+ * @return {Function} transport with a `flush()` method returning a Promise
+ */
+export function fileTransport(path, fs) {
+  const _fs = fs || loadNodeModule('fs')
+  // chain writes so records stay in order
+  let queue = Promise.resolve()
+  const transport = (record) => {
+    const line = `${ JSON.stringify(record) }\n`
+    queue = queue.catch(() => {}).then(() => _fs.promises.appendFile(path, line))
+    queue.catch(err => console.error(`Unable to write log to '${ path }': ${ err.message }`))
+  }
+  transport.flush = () => queue.catch(() => {})
+  return transport
+}
+
+
+
+function makeLogger(config, fields) {
+  const isEnabled = (level, component=fields.component) => {
+    if (LEVELS[level] < LEVELS[config.level]) return false
+    if (typeof component === 'undefined') return true
+    if (config.components && !matchName(config.components, component)) return false
+    if (config.exclude && matchName(config.exclude, component)) return false
+    return true
+  }
+
+  const log = (level, msg, extra={}) => {
+    const record = { time: (new Date()).toISOString(), level, msg, ...fields, ...serializeFields(extra) }
+    if (!isEnabled(level, record.component)) return
+    config.transports.forEach(transport => {
+      try {
+        if (typeof transport === 'function') {
+          transport(record)
+        } else if (transport && typeof transport.write === 'function') {
+          transport.write(record)
+        }
+      } catch(err) {
+        // a broken transport shouldn't break the app
+      }
+    })
+  }
+
+  const _logger = {
+    log,
+    isEnabled,
+    trace: (msg, extra) => log('trace', msg, extra),
+    debug: (msg, extra) => log('debug', msg, extra),
+    info:  (msg, extra) => log('info',  msg, extra),
+    warn:  (msg, extra) => log('warn',  msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: (extra={}) => makeLogger(config, { ...fields, ...extra }),
+    configure: (options={}) => {
+      configure(config, options)
+      return _logger
+    },
+    get level() { return config.level }
+  }
+
+  return _logger
+}
+
+function configure(config, options) {
+  const { level, components, exclude, transports } = options
+  if (typeof level !== 'undefined') {
+    if (typeof LEVELS[level] === 'undefined') throw new Error(`Invalid log level: ${ level } (expecting one of ${ Object.keys(LEVELS).join(', ') })`)
+    config.level = level
+  }
+  if ('components' in options) config.components = components
+  if ('exclude' in options)    config.exclude    = exclude
+  if (typeof transports !== 'undefined') {
+    if (!Array.isArray(transports)) throw new Error('Log transports must be an array')
+    config.transports = transports
+  }
+  return config
+}
+
+function defaultLevel() {
+  if (ENVIRONMENT.LOG_LEVEL && typeof LEVELS[ENVIRONMENT.LOG_LEVEL] !== 'undefined') return ENVIRONMENT.LOG_LEVEL
+  if (ENVIRONMENT.DEBUG == 'true' || ENVIRONMENT.DEBUG === true) return 'debug'
+  return 'info'
+}
+
+function matchName(matcher, name) {
+  if (Array.isArray(matcher))          return matcher.some(item => matchName(item, name))
+  if (matcher instanceof RegExp)       return matcher.test(name)
+  if (typeof matcher === 'function')   return !!matcher(name)
+  return matcher === name
+}
+
+function serializeFields(fields) {
+  if (!fields || typeof fields !== 'object') return {}
+  return Object.entries(fields).reduce((acc, [key, value]) => {
+    if (typeof value === 'undefined') return acc
+    acc[key] = (value instanceof Error) ? { name: value.name, message: value.message, stack: value.stack } : value
+    return acc
+  }, {})
+}
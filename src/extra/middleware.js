@@ -0,0 +1,50 @@
+'use strict'
+
+import { logger as defaultLogger } from './logger'
+
+
+
+/**
+ * request middleware that logs each request at 'info' level
+ *
+ * @param {Object} options access log options
+ * @param {Object} options.logger logger to use (defaults to the default logger)
+ * @return {Function} middleware
+ */
+export function accessLog(options={}) {
+  const log = (options.logger || defaultLogger).child({ component: 'access' })
+  return ({ req, action }) => {
+    log.info(`${ req.method } ${ req.url }`, { action, requestId: req.id, method: req.method, url: req.url, ip: req.ip })
+  }
+}
+
+/**
+ * request middleware that limits how many requests each client can make
+ *
+ * @param {Object} options rate limit options
+ * @param {Number} options.max requests allowed per window
+ * @param {Number} options.windowMs length of the window in milliseconds
+ * @param {Function} options.key returns the client key for a request (defaults to the client's ip address)
+ * @return {Function} middleware
+ *
+ * clients over the limit get a 429 error response
+ * counts are kept in memory, so each server process limits separately
+ */
+export function rateLimit(options={}) {
+  const { max = 60, windowMs = 60000, key = req => req.ip || (req.get && req.get('x-forwarded-for')) || 'unknown' } = options
+  const clients = new Map()
+
+  return (ctx) => {
+    const now    = Date.now()
+    const client = key(ctx.req)
+
+    // drop expired windows so the map doesn't grow forever
+    clients.forEach((entry, name) => { if (entry.reset <= now) clients.delete(name) })
+
+    const entry = clients.get(client) || { count: 0, reset: now + windowMs }
+    entry.count++
+    clients.set(client, entry)
+
+    if (entry.count > max) ctx.respond('error', { status: 429, message: 'Too Many Requests' })
+  }
+}
@@ -0,0 +1,267 @@
+'use strict'
+
+import { default as xs } from 'xstream'
+import withInitialState, { withHydration } from './hydrate'
+import loadNodeModule from './loadNodeModule'
+import { logger } from './logger'
+import { activeApp } from '../app'
+
+
+
+const log = logger.child({ component: 'persistence' })
+
+const DEFAULT_KEY      = 'cyclejs-component-state'
+const DEFAULT_DEBOUNCE = 250
+
+/**
+ * wrap a main function so (parts of) its root state are saved to storage and restored on the next run
+ *
+ * @param {Function} main cycle main function (usually the root component)
+ * @param {Object} options persistence options
+ * @param {Object} options.storage storage adapter (defaults to localStorage in the browser, or memory everywhere else)
+ * @param {String} options.key key the state is saved under
+ * @param {Array} options.slices top level state fields to save (saves the whole state if not set)
+ * @param {Number} options.version schema version of the saved state
+ * @param {Object} options.migrations maps a version number to a function that upgrades state saved with the previous version
+ * @param {Number} options.debounce milliseconds to wait after the last state change before writing
+ * @param {String} options.stateSourceName name of the state source
+ * @return {Function} wrapped main function meant to be passed to withState() (or run())
+ *
+ * storage adapters implement `getItem(key)`, `setItem(key, value)` and `removeItem(key)`, and may return Promises
+ * state read synchronously is in place before the first render (merged over the initialState of the root component and of isolated children),
+ * state read asynchronously is merged in with a HYDRATE action once it arrives
+ * when started with run(), disposing the app saves any change still waiting on the debounce and stops listening for changes
+ */
+export default function withPersistence(main, options={}) {
+  const {
+    storage         = defaultStorage(),
+    key             = DEFAULT_KEY,
+    slices,
+    version         = 1,
+    migrations      = {},
+    debounce        = DEFAULT_DEBOUNCE,
+    stateSourceName = 'STATE'
+  } = options
+
+  if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function') {
+    throw new Error('withPersistence() requires a storage adapter with getItem() and setItem() methods')
+  }
+
+  const pick = (state) => {
+    if (!Array.isArray(slices) || !state || typeof state !== 'object') return state
+    return slices.reduce((acc, slice) => {
+      if (typeof state[slice] !== 'undefined') acc[slice] = state[slice]
+      return acc
+    }, {})
+  }
+
+  const restore = (saved) => {
+    if (saved === null || typeof saved === 'undefined') return undefined
+    try {
+      const parsed = (typeof saved === 'string') ? JSON.parse(saved) : saved
+      return migrate(parsed, version, migrations, key)
+    } catch(err) {
+      log.warn(`Unable to restore saved state '${ key }': ${ err.message }`)
+      return undefined
+    }
+  }
+
+  return (sources) => {
+    let loaded
+    try {
+      loaded = storage.getItem(key)
+    } catch(err) {
+      log.warn(`Unable to read saved state '${ key }': ${ err.message }`)
+    }
+
+    let restored
+    let wrapped
+    if (loaded && typeof loaded.then === 'function') {
+      const hydrate$ = xs.fromPromise(loaded.then(restore, err => log.warn(`Unable to read saved state '${ key }': ${ err.message }`)))
+        .filter(state => typeof state !== 'undefined')
+      wrapped = withHydration(main, hydrate$, stateSourceName)
+    } else {
+      restored = restore(loaded)
+      wrapped  = (typeof restored !== 'undefined') ? withInitialState(main, restored, stateSourceName) : main
+    }
+
+    const sinks = wrapped(sources)
+
+    let timer
+    let pending
+    const write = () => {
+      clearTimeout(timer)
+      timer = undefined
+      if (typeof pending === 'undefined') return
+      const value = JSON.stringify({ version, state: pending })
+      pending = undefined
+      try {
+        const result = storage.setItem(key, value)
+        if (result && typeof result.catch === 'function') result.catch(err => log.warn(`Unable to save state '${ key }': ${ err.message }`))
+      } catch(err) {
+        log.warn(`Unable to save state '${ key }': ${ err.message }`)
+      }
+    }
+
+    const stateSource = sources[stateSourceName]
+    const listener    = {
+      next: state => {
+        pending = pick(state)
+        clearTimeout(timer)
+        timer = setTimeout(write, debounce)
+      }
+    }
+    if (stateSource) stateSource.stream.addListener(listener)
+
+    // don't lose the last change if the page is closed before the debounce finishes
+    const hasWindow = typeof window !== 'undefined' && typeof window.addEventListener === 'function'
+    if (hasWindow) window.addEventListener('pagehide', write)
+
+    // when the app is disposed, the last change is saved right away and nothing is left listening
+    const app = activeApp()
+    if (app) {
+      app.onDispose(() => {
+        if (stateSource) stateSource.stream.removeListener(listener)
+        if (hasWindow) window.removeEventListener('pagehide', write)
+        write()
+      })
+    }
+
+    return sinks
+  }
+}
+
+
+
+/**
+ * upgrade saved state to the current schema version
+ *
+ * @param {Object} saved saved record (`{ version, state }`)
+ * @param {Number} version current schema version
+ * @param {Object} migrations maps a version number to a function that upgrades state from the previous version
+ * @param {String} key storage key (used in warnings)
+ * @return {Any} migrated state, or `undefined` if the saved state can't be used
+ */
+function migrate(saved, version, migrations, key) {
+  if (!saved || typeof saved !== 'object' || !('state' in saved)) return undefined
+  const savedVersion = Number(saved.version) || 0
+
+  if (savedVersion > version) {
+    log.warn(`Saved state '${ key }' has version ${ savedVersion } which is newer than ${ version }: ignoring it`)
+    return undefined
+  }
+
+  return Object.keys(migrations)
+    .map(Number)
+    .filter(target => target > savedVersion && target <= version)
+    .sort((a, b) => a - b)
+    .reduce((state, target) => {
+      const migration = migrations[target]
+      if (typeof migration !== 'function') throw new Error(`Migration to version ${ target } must be a function`)
+      return migration(state)
+    }, saved.state)
+}
+
+function defaultStorage() {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) return webStorage(window.localStorage)
+  } catch(err) {
+    // accessing localStorage throws when storage is disabled
+  }
+  return memoryStorage()
+}
+
+/**
+ * storage adapter for localStorage or sessionStorage
+ *
+ * @param {Storage} storage `window.localStorage` or `window.sessionStorage`
+ * @return {Object} storage adapter
+ */
+export function webStorage(storage) {
+  if (!storage) throw new Error('webStorage() requires a Web Storage object (localStorage or sessionStorage)')
+  return {
+    getItem:    key => storage.getItem(key),
+    setItem:    (key, value) => storage.setItem(key, value),
+    removeItem: key => storage.removeItem(key)
+  }
+}
+
+/**
+ * storage adapter that keeps values in memory (useful for tests)
+ *
+ * @param {Object} initial initial values keyed by storage key
+ * @return {Object} storage adapter
+ */
+export function memoryStorage(initial={}) {
+  const values = { ...initial }
+  return {
+    getItem:    key => (key in values) ? values[key] : null,
+    setItem:    (key, value) => { values[key] = value },
+    removeItem: key => { delete values[key] },
+    values
+  }
+}
+
+/**
+ * storage adapter backed by IndexedDB
+ *
+ * @param {String} dbName database name
+ * @param {String} storeName object store name
+ * @return {Object} storage adapter (all methods return Promises)
+ */
+export function indexedDBStorage(dbName='cyclejs-component', storeName='state') {
+  let dbPromise
+  const open = () => {
+    if (dbPromise) return dbPromise
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'))
+      const request = indexedDB.open(dbName, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror   = () => reject(request.error)
+    })
+    return dbPromise
+  }
+  const run = (mode, action) => open().then(db => new Promise((resolve, reject) => {
+    const request = action(db.transaction(storeName, mode).objectStore(storeName))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror   = () => reject(request.error)
+  }))
+  return {
+    getItem:    key => run('readonly', store => store.get(key)).then(value => (typeof value === 'undefined') ? null : value),
+    setItem:    (key, value) => run('readwrite', store => store.put(value, key)),
+    removeItem: key => run('readwrite', store => store.delete(key))
+  }
+}
+
+/**
+ * storage adapter that saves to a JSON file (Node only)
+ *
+ * @param {String} path file to save state to
+ * @param {Object} fs Node `fs` module (loaded automatically if not provided)
+ * @return {Object} storage adapter (all methods return Promises)
+ */
+export function fileStorage(path, fs) {
+  const _fs = fs || loadNodeModule('fs')
+  const readAll = () => _fs.promises.readFile(path, 'utf8')
+    .then(contents => JSON.parse(contents))
+    .catch(err => {
+      if (err.code === 'ENOENT') return {}
+      throw err
+    })
+  // chain writes so concurrent saves can't interleave
+  let queue = Promise.resolve()
+  const update = (change) => {
+    queue = queue.catch(() => {}).then(readAll).then(values => _fs.promises.writeFile(path, JSON.stringify(change(values))))
+    return queue
+  }
+  return {
+    getItem:    key => readAll().then(values => (key in values) ? values[key] : null),
+    setItem:    (key, value) => update(values => ({ ...values, [key]: value })),
+    removeItem: key => update(values => {
+      const copy = { ...values }
+      delete copy[key]
+      return copy
+    })
+  }
+}
@@ -2,15 +2,40 @@
 
 import { default as xs } from 'xstream'
 
+/**
+ * turn form events into objects describing the form's values
+ *
+ * @param {Object} form DOM source selection for the form (ex. `DOM.select('form')`)
+ * @param {Object} options form options
+ * @param {String|Array} options.events form events to listen for
+ * @param {Boolean} options.preventDefault whether to call `preventDefault()` on each event
+ * @param {Object} options.schema maps field names to field definitions (see below)
+ * @return {Stream} stream of form values
+ *
+ * without a schema each emitted object holds the field values (repeated field names become arrays),
+ * plus `event` and `eventType`
+ *
+ * with a schema each emitted object is `{ values, errors, fields, valid, dirty, touched, validating, event, eventType }`
+ * field definitions can contain:
+ * - type: 'string' (default), 'number', 'boolean', 'date', 'array' or 'file'
+ * - of: type of each item for 'array' fields
+ * - multiple: whether a 'file' field accepts several files
+ * - required, min, max, minLength, maxLength, pattern: built in validation rules
+ * - validate: function (or array of functions) receiving `(value, values)` and returning an error message,
+ *   `false` for a generic error, or anything else when valid (may return a Promise)
+ * when async validators are running `validating` is true, and the result is emitted again once they finish
+ */
 export default function processForm(form, options={}) {
-  let { events = ['input', 'submit'], preventDefault = true } = options
+  let { events = ['input', 'submit'], preventDefault = true, schema } = options
   if (typeof events === 'string') events = [events]
 
   const eventStream$ = events.map(event => form.events(event))
 
   const merged$ = xs.merge(...eventStream$)
 
-  return merged$.map((e) => {
+  const touched = new Set()
+
+  const processed$ = merged$.map((e) => {
     if (preventDefault) e.preventDefault()
     const form = (e.type === 'submit') ? e.srcElement : e.currentTarget
     const formData = new FormData(form)
@@ -22,9 +47,214 @@ export default function processForm(form, options={}) {
       const { name, value } = submitBtn
       entries[name || 'submit'] = value
     }
-    for (let [name, value] of formData.entries()) {
-      entries[name] = value
+
+    if (schema) {
+      if (e.type === 'submit') {
+        Object.keys(schema).forEach(name => touched.add(name))
+      } else if (e.target && e.target.name) {
+        touched.add(e.target.name)
+      }
+      return validateForm(schema, collectEntries(formData.entries()), collectEntries(defaultEntries(form)), touched, entries)
+    }
+
+    return { ...entries, ...collectEntries(formData.entries()) }
+  })
+
+  return schema ? processed$.flatten() : processed$
+}
+
+
+
+/**
+ * collect form entries into an object, turning repeated names into arrays
+ *
+ * @param {Iterable} entries `[name, value]` pairs (ex. from `FormData.entries()`)
+ * @return {Object} values keyed by field name
+ */
+function collectEntries(entries) {
+  const values = {}
+  for (let [name, value] of entries) {
+    if (typeof values[name] === 'undefined') {
+      values[name] = value
+    } else {
+      values[name] = [].concat(values[name], value)
+    }
+  }
+  return values
+}
+
+/**
+ * get the default (initial) entries of a form the same way FormData would report them
+ *
+ * @param {HTMLFormElement} form form element
+ * @return {Array} `[name, value]` pairs
+ */
+function defaultEntries(form) {
+  const entries = []
+  Array.from(form.elements || []).forEach(el => {
+    const { name, type } = el
+    if (!name || el.disabled || ['submit', 'button', 'reset', 'file'].includes(type)) return
+    if (type === 'checkbox' || type === 'radio') {
+      if (el.defaultChecked) entries.push([name, el.value || 'on'])
+    } else if (el.tagName === 'SELECT') {
+      Array.from(el.options).forEach(option => { if (option.defaultSelected) entries.push([name, option.value]) })
+    } else {
+      entries.push([name, el.defaultValue])
     }
-    return entries
   })
-}
\ No newline at end of file
+  return entries
+}
+
+/**
+ * coerce and validate raw form values against a schema
+ *
+ * @param {Object} schema maps field names to field definitions
+ * @param {Object} raw raw values from the form
+ * @param {Object} defaults raw default values of the form
+ * @param {Set} touched names of fields the user has interacted with
+ * @param {Object} extra extra data to include in the result (event, eventType, submit button)
+ * @return {Stream} stream emitting the result (twice when async validators are used)
+ */
+function validateForm(schema, raw, defaults, touched, extra) {
+  const values  = {}
+  const initial = {}
+  const errors  = {}
+
+  Object.entries(schema).forEach(([name, field]) => {
+    const coerced = coerce(raw[name], field)
+    values[name]  = coerced.value
+    initial[name] = coerce(defaults[name], field).value
+    if (coerced.error) errors[name] = coerced.error
+  })
+
+  // values for fields not in the schema are passed through as is
+  Object.entries(raw).forEach(([name, value]) => {
+    if (!(name in schema)) values[name] = value
+  })
+
+  const pending = []
+  Object.entries(schema).forEach(([name, field]) => {
+    if (errors[name]) return
+    const result = checkRules(values[name], field, values)
+    if (result && typeof result.then === 'function') {
+      pending.push(result.then(error => ({ name, error }), err => ({ name, error: (err && err.message) || 'Invalid' })))
+    } else if (result) {
+      errors[name] = result
+    }
+  })
+
+  const build = (errors, validating) => {
+    const fields = Object.keys(schema).reduce((acc, name) => {
+      const dirty = !isSameValue(values[name], initial[name])
+      acc[name] = { value: values[name], error: errors[name] || null, valid: !errors[name], dirty, touched: touched.has(name) }
+      return acc
+    }, {})
+    const fieldStates = Object.values(fields)
+    return {
+      ...extra,
+      values,
+      errors,
+      fields,
+      valid:   !validating && fieldStates.every(field => field.valid),
+      dirty:   fieldStates.some(field => field.dirty),
+      touched: fieldStates.some(field => field.touched),
+      validating
+    }
+  }
+
+  if (pending.length === 0) return xs.of(build(errors, false))
+
+  const validated = Promise.all(pending).then(results => {
+    const asyncErrors = results.reduce((acc, { name, error }) => {
+      if (error) acc[name] = error
+      return acc
+    }, { ...errors })
+    return build(asyncErrors, false)
+  })
+
+  return xs.merge(xs.of(build(errors, true)), xs.fromPromise(validated))
+}
+
+/**
+ * convert a raw form value to the type declared in a field definition
+ *
+ * @param {Any} raw raw value (string, File, or array of those)
+ * @param {Object} field field definition
+ * @return {Object} `{ value, error }`
+ */
+function coerce(raw, field={}) {
+  const { type = 'string' } = field
+
+  if (type === 'array') {
+    const items   = (typeof raw === 'undefined') ? [] : [].concat(raw)
+    const coerced = items.map(item => coerce(item, { type: field.of || 'string' }))
+    const failed  = coerced.find(item => item.error)
+    return { value: coerced.map(item => item.value), error: failed && failed.error }
+  }
+
+  if (type === 'file') {
+    const files = [].concat(typeof raw === 'undefined' ? [] : raw).filter(file => file && typeof file === 'object' && (file.name || file.size))
+    return { value: field.multiple ? files : (files[0] || null) }
+  }
+
+  const value = Array.isArray(raw) ? raw[raw.length - 1] : raw
+
+  if (type === 'boolean') {
+    if (typeof value === 'undefined' || value === '' || value === 'false' || value === 'off' || value === '0') return { value: false }
+    return { value: true }
+  }
+
+  if (typeof value === 'undefined' || value === '') return { value: null }
+
+  if (type === 'number') {
+    const number = Number(value)
+    return isNaN(number) ? { value: null, error: 'Must be a number' } : { value: number }
+  }
+
+  if (type === 'date') {
+    const date = new Date(value)
+    return isNaN(date.getTime()) ? { value: null, error: 'Must be a valid date' } : { value: date }
+  }
+
+  return { value: String(value) }
+}
+
+/**
+ * run the built in rules and custom validators of a field definition
+ *
+ * @param {Any} value coerced value
+ * @param {Object} field field definition
+ * @param {Object} values all coerced values in the form
+ * @return {String|Promise|undefined} an error message, a Promise resolving to one, or undefined when valid
+ */
+function checkRules(value, field={}, values) {
+  const { required, min, max, minLength, maxLength, pattern, validate } = field
+  const isEmpty = value === null || typeof value === 'undefined' || value === false || (Array.isArray(value) && value.length === 0)
+
+  if (required && isEmpty) return (typeof required === 'string') ? required : 'Required'
+  if (isEmpty) return undefined
+
+  const comparable = (value instanceof Date) ? value.getTime() : value
+  const limit = (bound) => (bound instanceof Date) ? bound.getTime() : bound
+  if (typeof min !== 'undefined' && comparable < limit(min)) return `Must be at least ${ min }`
+  if (typeof max !== 'undefined' && comparable > limit(max)) return `Must be at most ${ max }`
+
+  const length = (typeof value === 'string' || Array.isArray(value)) ? value.length : undefined
+  if (typeof minLength !== 'undefined' && typeof length !== 'undefined' && length < minLength) return `Must be at least ${ minLength } characters`
+  if (typeof maxLength !== 'undefined' && typeof length !== 'undefined' && length > maxLength) return `Must be at most ${ maxLength } characters`
+  if (pattern && typeof value === 'string' && !(new RegExp(pattern)).test(value)) return 'Invalid format'
+
+  const validators = [].concat(validate || [])
+  const results    = validators.map(validator => validator(value, values))
+  const toError    = (result) => (result === false) ? 'Invalid' : ((typeof result === 'string' && result) ? result : undefined)
+
+  if (results.some(result => result && typeof result.then === 'function')) {
+    return Promise.all(results).then(resolved => resolved.map(toError).find(error => !!error))
+  }
+  return results.map(toError).find(error => !!error)
+}
+
+function isSameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) return (a && a.getTime && a.getTime()) === (b && b.getTime && b.getTime())
+  return JSON.stringify(a) === JSON.stringify(b)
+}
@@ -0,0 +1,193 @@
+'use strict'
+
+import { run as _run } from '@cycle/run'
+import { withState } from '@cycle/state'
+import { mockDOMSource } from '@cycle/dom'
+import eventBusDriver from './eventDriver'
+import withInitialState, { serializeState, stateSnapshotScript, STATE_SNAPSHOT_KEY } from './hydrate'
+import { createApp, runInApp } from '../app'
+
+
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']
+const PROP_ALIASES  = { className: 'class', htmlFor: 'for' }
+const SKIPPED_PROPS = ['innerHTML', 'textContent', 'key', 'ns']
+
+/**
+ * render an app to HTML without a browser
+ *
+ * @param {Function} app root component (or any cycle main function)
+ * @param {Object} options render options
+ * @param {Any} options.initialState state to render with (replaces the root component's initialState)
+ * @param {Object} options.drivers additional drivers to run the app with (HTTP, EVENTS, etc.)
+ * @param {String} options.stateSourceName name of the state source (also the default for the app's components)
+ * @param {String} options.DOMSourceName name of the DOM source
+ * @param {Number} options.settle how many milliseconds the view must stay unchanged to be considered stable
+ * @param {Number} options.timeout maximum milliseconds to wait for a stable view
+ * @param {String} options.snapshotKey global variable name `run()` reads the state snapshot from
+ * @return {Promise} resolves to `{ html, state, serializedState, script }`
+ *
+ * `html` is the rendered view and `script` is a script tag that makes the state available to `run()` on the client
+ * place `html` inside the mount element and `script` anywhere before the client bundle
+ */
+export default function renderToString(app, options={}) {
+  const {
+    initialState,
+    drivers         = {},
+    stateSourceName = 'STATE',
+    DOMSourceName   = 'DOM',
+    settle          = 30,
+    timeout         = 5000,
+    snapshotKey     = STATE_SNAPSHOT_KEY
+  } = options
+
+  return new Promise((resolve, reject) => {
+    let lastVdom
+    let lastState
+    let settleTimer
+    let dispose
+    let finished = false
+
+    const finish = (err) => {
+      if (finished) return
+      finished = true
+      clearTimeout(settleTimer)
+      clearTimeout(timeoutTimer)
+      if (dispose) setTimeout(dispose, 0)
+      if (err) return reject(err)
+      if (typeof lastVdom === 'undefined') return reject(new Error(`No view was rendered within ${ timeout }ms`))
+      resolve({
+        html:            vnodeToHTML(lastVdom),
+        state:           lastState,
+        serializedState: serializeState(lastState),
+        script:          stateSnapshotScript(lastState, snapshotKey)
+      })
+    }
+
+    const timeoutTimer = setTimeout(() => finish(), timeout)
+
+    const DOMDriver = (vdom$) => {
+      vdom$.addListener({
+        next: vdom => {
+          lastVdom = vdom
+          clearTimeout(settleTimer)
+          settleTimer = setTimeout(() => finish(), settle)
+        },
+        error: finish
+      })
+      return mockDOMSource({})
+    }
+
+    const recorded = (sources) => {
+      const stateSource = sources[stateSourceName]
+      if (stateSource) stateSource.stream.addListener({ next: state => lastState = state, error: finish })
+      return app(sources)
+    }
+
+    const main = (typeof initialState !== 'undefined') ? withInitialState(recorded, initialState, stateSourceName) : recorded
+
+    // each render is its own app, so concurrent renders on a server don't share a root component
+    const instance = createApp({ name: 'renderToString', stateSourceName })
+
+    try {
+      const stop = runInApp(instance, () => _run(withState(main, stateSourceName), { EVENTS: eventBusDriver, ...drivers, [DOMSourceName]: DOMDriver }))
+      dispose = () => {
+        stop()
+        instance.dispose()
+      }
+    } catch(err) {
+      finish(err)
+    }
+  })
+}
+
+
+
+/**
+ * convert a snabbdom virtual dom node to an HTML string
+ *
+ * @param {Object|String} vnode virtual dom node (or plain text)
+ * @return {String} HTML
+ */
+export function vnodeToHTML(vnode) {
+  if (vnode === null || typeof vnode === 'undefined' || vnode === false) return ''
+  if (typeof vnode !== 'object') return escapeHTML(String(vnode))
+  if (Array.isArray(vnode)) return vnode.map(vnodeToHTML).join('')
+
+  if (typeof vnode.sel === 'undefined') return escapeHTML(vnode.text || '')
+  if (vnode.sel === '!') return `<!--${ vnode.text || '' }-->`
+
+  const { tag, id, classes } = parseSelector(vnode.sel)
+  const data  = vnode.data || {}
+  const props = data.props || {}
+  const attributes = {}
+
+  if (id) attributes.id = id
+
+  Object.entries(props).forEach(([name, value]) => {
+    if (SKIPPED_PROPS.includes(name) || typeof value === 'function' || typeof value === 'object') return
+    attributes[PROP_ALIASES[name] || name] = value
+  })
+
+  Object.entries(data.attrs || {}).forEach(([name, value]) => attributes[name] = value)
+
+  Object.entries(data.dataset || {}).forEach(([name, value]) => {
+    attributes[`data-${ toKebabCase(name) }`] = value
+  })
+
+  const classList = [ ...classes, ...String(attributes.class || '').split(/\s+/) ]
+  Object.entries(data.class || {}).forEach(([name, enabled]) => { if (enabled) classList.push(name) })
+  const className = [ ...new Set(classList.filter(name => !!name)) ].join(' ')
+  if (className) attributes.class = className
+
+  const style = Object.entries(data.style || {})
+    .filter(([_, value]) => typeof value === 'string' || typeof value === 'number')
+    .map(([name, value]) => `${ name.startsWith('--') ? name : toKebabCase(name) }: ${ value }`)
+    .join('; ')
+  if (style) attributes.style = style
+
+  const attributeString = Object.entries(attributes)
+    .filter(([_, value]) => value !== false && value !== null && typeof value !== 'undefined')
+    .map(([name, value]) => (value === true) ? ` ${ name }` : ` ${ name }="${ escapeHTML(String(value)) }"`)
+    .join('')
+
+  if (VOID_ELEMENTS.includes(tag)) return `<${ tag }${ attributeString }>`
+
+  let content
+  if (typeof props.innerHTML !== 'undefined') {
+    content = String(props.innerHTML)
+  } else if (typeof vnode.text !== 'undefined') {
+    content = escapeHTML(String(vnode.text))
+  } else {
+    content = (vnode.children || []).map(vnodeToHTML).join('')
+  }
+
+  return `<${ tag }${ attributeString }>${ content }</${ tag }>`
+}
+
+/**
+ * split a snabbdom selector into its tag, id and classes
+ *
+ * @param {String} sel selector (ex. "div#main.card.active")
+ * @return {Object} `{ tag, id, classes }`
+ */
+function parseSelector(sel) {
+  const match   = sel.match(/^[^#.]+/)
+  const tag     = (match && match[0]) || 'div'
+  const idMatch = sel.match(/#([^#.]+)/)
+  const classes = (sel.match(/\.[^#.]+/g) || []).map(name => name.slice(1))
+  return { tag, id: idMatch && idMatch[1], classes }
+}
+
+function toKebabCase(name) {
+  return name.replace(/[A-Z]/g, letter => `-${ letter.toLowerCase() }`)
+}
+
+function escapeHTML(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
@@ -0,0 +1,229 @@
+'use strict'
+
+import { default as xs } from 'xstream'
+import { adapt } from '@cycle/run/lib/adapt'
+import { logger } from './logger'
+
+
+
+const log = logger.child({ component: 'router' })
+
+/**
+ * create a driver that keeps the app in sync with the URL
+ *
+ * @param {Object} options router options
+ * @param {String} options.history 'browser' to use the History API, 'memory' to keep history in memory (defaults to 'browser' when available)
+ * @param {String} options.initialPath starting path for memory history
+ * @param {String} options.base path prefix the app is served from (browser history only)
+ * @return {Function} cycle driver
+ *
+ * the sink accepts paths to navigate to ('/users/42'), or commands:
+ * `{ path, replace: true }` to replace the current entry, `{ go: -1 }` / `'back'` / `'forward'` to move through history
+ * the source has a remembered `location$` stream of `{ path, pathname, search, query, hash, params }` objects,
+ * and a `nest(pattern)` method that creates a source for routes nested below `pattern`
+ */
+export default function makeRouterDriver(options={}) {
+  const hasBrowserHistory = typeof window !== 'undefined' && window.history && typeof window.history.pushState === 'function'
+  const { history: type = hasBrowserHistory ? 'browser' : 'memory', initialPath = '/', base = '' } = options
+
+  if (type !== 'browser' && type !== 'memory') throw new Error(`Invalid router history type: ${ type } (expecting 'browser' or 'memory')`)
+
+  return function routerDriver(navigate$) {
+    const history = (type === 'browser') ? createBrowserHistory(base) : createMemoryHistory(initialPath)
+
+    navigate$.addListener({
+      next: command => {
+        if (typeof command === 'string') {
+          if (command === 'back')    return history.go(-1)
+          if (command === 'forward') return history.go(1)
+          return history.push(command)
+        }
+        if (!command || typeof command !== 'object') return
+        if (typeof command.go === 'number') return history.go(command.go)
+        if (typeof command.path !== 'string') return log.warn(`Router navigation commands need a 'path'`, { command })
+        if (command.replace) return history.replace(command.path, command.state)
+        history.push(command.path, command.state)
+      },
+      error: err => log.error(`Router navigation error: ${ err && err.message }`, { error: err })
+    })
+
+    let unlisten
+    const location$ = xs.create({
+      start: listener => {
+        unlisten = history.listen(location => listener.next(location))
+      },
+      stop: () => unlisten && unlisten()
+    })
+      .startWith(history.location)
+      .map(location => toLocation(location))
+      .remember()
+
+    return makeRouterSource(location$, history)
+  }
+}
+
+/**
+ * check a path against a route pattern
+ *
+ * @param {String} pattern route pattern ('/users/:id', '/admin/*' for nested routes, or '*' to match anything)
+ * @param {String} path path to check
+ * @return {Object|null} `{ params, matched, rest }` if the path matches, otherwise null
+ *
+ * patterns ending in '/*' match any path starting with the pattern, and `rest` is the remaining part of the path
+ */
+export function matchRoute(pattern, path) {
+  if (pattern === '*') return { params: {}, matched: '', rest: path }
+
+  const isNested = pattern.endsWith('/*')
+  const patternParts = splitPath(isNested ? pattern.slice(0, -2) : pattern)
+  const pathParts    = splitPath(path)
+
+  if (pathParts.length < patternParts.length) return null
+  if (!isNested && pathParts.length !== patternParts.length) return null
+
+  const params = {}
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i]
+    if (part.startsWith(':')) {
+      params[part.slice(1)] = decodeURIComponent(pathParts[i])
+    } else if (part !== pathParts[i]) {
+      return null
+    }
+  }
+
+  const matched = '/' + pathParts.slice(0, patternParts.length).join('/')
+  const rest    = '/' + pathParts.slice(patternParts.length).join('/')
+  return { params, matched, rest }
+}
+
+/**
+ * find the first route that matches a location
+ *
+ * @param {Object} routes maps route patterns to components
+ * @param {Object} location location emitted by the router source
+ * @return {Object|null} `{ pattern, name, path, params, query, hash }` for the matched route, or null
+ */
+export function findRoute(routes, location) {
+  const entries = Object.entries(routes)
+  for (const [pattern, target] of entries) {
+    const match = matchRoute(pattern, location.path)
+    if (match) {
+      return {
+        pattern,
+        name:   (typeof target === 'string') ? target : pattern,
+        path:   location.path,
+        params: { ...location.params, ...match.params },
+        query:  location.query,
+        hash:   location.hash
+      }
+    }
+  }
+  return null
+}
+
+
+
+function makeRouterSource(location$, history) {
+  return {
+    location$: adapt(location$),
+    history,
+    nest: (pattern) => {
+      const nested$ = location$
+        .map(location => {
+          const match = matchRoute(pattern, location.path)
+          return match && { ...location, path: match.rest, params: { ...location.params, ...match.params } }
+        })
+        .filter(location => !!location)
+        .remember()
+      return makeRouterSource(nested$, history)
+    }
+  }
+}
+
+function toLocation({ pathname, search='', hash='', state }) {
+  return { path: pathname || '/', pathname: pathname || '/', search, query: parseQuery(search), hash, state, params: {} }
+}
+
+function parseQuery(search) {
+  const params = new URLSearchParams(search)
+  const query  = {}
+  params.forEach((value, key) => {
+    if (typeof query[key] === 'undefined') {
+      query[key] = value
+    } else {
+      query[key] = [].concat(query[key], value)
+    }
+  })
+  return query
+}
+
+function splitPath(path) {
+  return (path || '').split(/[?#]/)[0].split('/').filter(part => part !== '')
+}
+
+function splitUrl(url) {
+  const [ withoutHash, hash ] = url.split('#')
+  const [ pathname, search ] = withoutHash.split('?')
+  return { pathname: pathname || '/', search: search ? `?${ search }` : '', hash: hash ? `#${ hash }` : '' }
+}
+
+function createBrowserHistory(base) {
+  let listeners = []
+  const strip = (pathname) => (base && pathname.startsWith(base)) ? (pathname.slice(base.length) || '/') : pathname
+  const current = (state) => ({ pathname: strip(window.location.pathname), search: window.location.search, hash: window.location.hash, state })
+  const notify  = (state) => listeners.forEach(listener => listener(current(state)))
+  const onPop   = (e) => notify(e.state)
+
+  return {
+    get location() { return current(window.history.state) },
+    push: (path, state) => {
+      window.history.pushState(state, '', base + path)
+      notify(state)
+    },
+    replace: (path, state) => {
+      window.history.replaceState(state, '', base + path)
+      notify(state)
+    },
+    go: (delta) => window.history.go(delta),
+    listen: (listener) => {
+      if (listeners.length === 0) window.addEventListener('popstate', onPop)
+      listeners.push(listener)
+      return () => {
+        listeners = listeners.filter(existing => existing !== listener)
+        if (listeners.length === 0) window.removeEventListener('popstate', onPop)
+      }
+    }
+  }
+}
+
+function createMemoryHistory(initialPath) {
+  let listeners = []
+  let entries   = [{ ...splitUrl(initialPath), state: undefined }]
+  let index     = 0
+  const notify  = () => listeners.forEach(listener => listener(entries[index]))
+
+  return {
+    get location() { return entries[index] },
+    get entries()  { return entries },
+    get index()    { return index },
+    push: (path, state) => {
+      entries = [ ...entries.slice(0, index + 1), { ...splitUrl(path), state } ]
+      index   = entries.length - 1
+      notify()
+    },
+    replace: (path, state) => {
+      entries = [ ...entries.slice(0, index), { ...splitUrl(path), state }, ...entries.slice(index + 1) ]
+      notify()
+    },
+    go: (delta) => {
+      const next = Math.min(Math.max(index + delta, 0), entries.length - 1)
+      if (next === index) return
+      index = next
+      notify()
+    },
+    listen: (listener) => {
+      listeners.push(listener)
+      return () => listeners = listeners.filter(existing => existing !== listener)
+    }
+  }
+}
@@ -1,19 +1,99 @@
 import { run as _run } from "@cycle/run"
 import { withState } from "@cycle/state"
-import { makeDOMDriver } from "@cycle/dom"
+import { makeDOMDriver, mockDOMSource } from "@cycle/dom"
 import eventBusDriver from "./eventDriver"
 import logDriver from "./logDriver"
+import withInitialState, { consumeStateSnapshot } from "./hydrate"
+import { createApp, runInApp } from "../app"
 
-export default function run(app, drivers={}) {
-  const wrapped = withState(app, 'STATE')
 
+
+const RUN_OPTIONS = ['mount', 'stateName', 'drivers', 'disableDefaultDrivers', 'initialState', 'actionMiddleware']
+
+/**
+ * start an app
+ *
+ * @param {Function} app root component (or any cycle main function)
+ * @param {Object} options run options
+ * @param {String|Element|Boolean} options.mount selector or element to render into (defaults to '#root'), or `false` to run headless
+ * @param {String} options.stateName name of the state channel (defaults to 'STATE'), also the default stateSourceName for the app's components
+ * @param {Object} options.drivers drivers to add to (or replace) the default EVENTS, DOM and LOG drivers
+ * @param {Boolean|Array} options.disableDefaultDrivers `true` to skip all default drivers, or an array of the ones to skip (ex. `['LOG']`)
+ * @param {Any} options.initialState state to start with (replaces the root component's initialState)
+ * @param {Function|Object|Array} options.actionMiddleware action middleware for every component in the app (runs before each component's own)
+ * @return {Function} handle with `dispose()`, `getState()` and `dispatch(action)` (calling the handle itself also disposes the app)
+ *
+ * each call is independent, so several apps can run side by side, and a disposed app can be started again
+ * apps run headless when there's no `document` (ex. in Node), in which case the view is rendered but not displayed
+ * state rendered on the server by renderToString() takes precedence over `initialState` so the existing DOM is reused as is
+ * for backwards compatibility, an object of drivers can also be passed instead of options (but not mixed with them)
+ */
+export default function run(app, options={}) {
+  const isOptions = Object.keys(options).some(key => RUN_OPTIONS.includes(key)) || Object.keys(options).length === 0
+  // drivers mixed in with options would otherwise be dropped without a word
+  const unknown   = isOptions ? Object.keys(options).filter(key => !RUN_OPTIONS.includes(key)) : []
+  if (unknown.length > 0) throw new Error(`Unknown run() option${ unknown.length > 1 ? 's' : '' }: ${ unknown.join(', ') } (expecting ${ RUN_OPTIONS.join(', ') }): drivers go in the 'drivers' option`)
+  const {
+    mount                 = '#root',
+    stateName             = 'STATE',
+    drivers               = {},
+    disableDefaultDrivers = false,
+    initialState,
+    actionMiddleware
+  } = isOptions ? options : { drivers: options }
+
+  let currentState
+  const recorded = (sources) => {
+    const stateSource = sources[stateName]
+    if (stateSource) stateSource.stream.addListener({ next: state => currentState = state })
+    return app(sources)
+  }
+
+  // pick up state rendered on the server by renderToString() so the existing DOM is reused as is
+  const snapshot = consumeStateSnapshot()
+  const seed     = (typeof snapshot !== 'undefined') ? snapshot : initialState
+  const main     = (typeof seed !== 'undefined') ? withInitialState(recorded, seed, stateName) : recorded
+  const wrapped  = withState(main, stateName)
+
+  const headless    = mount === false || mount === null || typeof document === 'undefined'
   const baseDrivers = {
     EVENTS: eventBusDriver,
-    DOM:    makeDOMDriver('#root'),
+    DOM:    headless ? headlessDOMDriver : makeDOMDriver(mount),
     LOG:    logDriver
   }
 
+  const skipped = (disableDefaultDrivers === true) ? Object.keys(baseDrivers) : [].concat(disableDefaultDrivers || [])
+  skipped.forEach(name => delete baseDrivers[name])
+
   const combinedDrivers = { ...baseDrivers, ...drivers }
 
-  return _run(wrapped, combinedDrivers)
+  const instance = createApp({ actionMiddleware, stateSourceName: stateName })
+  const stop     = runInApp(instance, () => _run(wrapped, combinedDrivers))
+
+  const dispose = () => {
+    stop()
+    instance.dispose()
+  }
+
+  const dispatch = (action, data) => {
+    const fixedAction = (typeof action === 'string') ? { type: action, data } : action
+    if (!fixedAction || typeof fixedAction.type !== 'string') throw new Error('dispatch() requires an action type or a { type, data } action object')
+    if (instance.disposed) throw new Error(`Cannot dispatch <${ fixedAction.type }> to an app that has been disposed`)
+    if (!instance.root) throw new Error(`Cannot dispatch <${ fixedAction.type }>: the app has no root component`)
+    instance.root.dispatch(fixedAction)
+  }
+
+  return Object.assign(() => dispose(), {
+    dispose,
+    dispatch,
+    getState: () => currentState
+  })
+}
+
+
+
+function headlessDOMDriver(vdom$) {
+  // keep the view running so components behave the same as when mounted
+  vdom$.addListener({ next: () => {}, error: () => {} })
+  return mockDOMSource({})
 }
@@ -0,0 +1,297 @@
+'use strict'
+
+import { default as xs } from 'xstream'
+import { adapt } from '@cycle/run/lib/adapt'
+import { matchRoute } from './routerDriver'
+import loadNodeModule from './loadNodeModule'
+import { logger } from './logger'
+
+
+
+const log = logger.child({ component: 'server' })
+
+const METHODS         = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options']
+const BODY_LIMIT      = 1024 * 1024
+const ENVELOPE_FIELDS = ['status', 'headers', 'cookies', 'body']
+
+let requestCounter = 0
+
+/**
+ * create a driver that runs a Node.js HTTP server for components using the 'request' parameter
+ *
+ * @param {Object} options server options
+ * @param {Number} options.port port to listen on
+ * @param {String} options.host host to listen on
+ * @param {Object} options.server existing `http.Server` to handle requests for instead of creating one
+ * @param {Number} options.bodyLimit largest request body accepted in bytes (larger bodies get a 413 response)
+ * @param {Object} options.http Node `http` module (loaded automatically if not provided)
+ * @return {Function} cycle driver
+ *
+ * the source has a method for each HTTP verb (get, post, put, patch, delete, head, options) plus `all`,
+ * each taking a route pattern ('/users/:id', '/files/*', '*') and returning a stream of requests
+ * requests look like `{ id, method, url, path, params, query, headers, cookies, body, ip, get(header) }`
+ * each request goes to the first matching route, and requests matching no route get a 404 response
+ * JSON and form bodies are parsed, other bodies are passed on as text
+ *
+ * the sink accepts `{ _reqId, command, data }` responses where `command` is:
+ * - 'send' sends `data` as is (objects are sent as JSON)
+ * - 'json' sends `data` as JSON
+ * - 'redirect' redirects to the url in `data`
+ * - 'status' ends the response with the status code in `data`
+ * - 'error' sends `{ error: message }` with the status from `data`
+ * for 'send' and 'json', `data` can also be `{ status, headers, cookies, body }` to control the whole response
+ * cookies are `{ name: value }` or `{ name: { value, maxAge, expires, path, domain, httpOnly, secure, sameSite } }`
+ * values without a `command` (ex. objects returned by model reducers for the sink) are sent to the `request(id)` source
+ * so the component's 'response' function can turn them into responses
+ */
+export default function makeServerDriver(options={}) {
+  const { port = 3000, host, server: existingServer, bodyLimit = BODY_LIMIT, http } = options
+
+  return function serverDriver(response$) {
+    const pending = new Map()
+    const routes  = []
+    const data$   = xs.create()
+
+    const handle = (req, res) => {
+      const id = makeRequestId()
+      pending.set(id, res)
+      res.on('close', () => pending.delete(id))
+
+      readBody(req, bodyLimit).then(body => {
+        const request = toRequest(id, req, body)
+        const route   = routes.find(route => (route.method === 'all' || route.method === request.method.toLowerCase()) && matchRoute(route.pattern, request.path))
+        if (!route) return respond(id, { command: 'error', data: { status: 404, message: 'Not Found' } })
+        const { params } = matchRoute(route.pattern, request.path)
+        route.listeners.forEach(listener => listener.next({ ...request, params }))
+      }).catch(err => {
+        // the rest of an oversized body is discarded, so don't keep the connection around for more requests
+        if (err.status === 413) res.setHeader('Connection', 'close')
+        respond(id, { command: 'error', data: { status: err.status || 400, message: err.message } })
+      })
+    }
+
+    const respond = (id, response) => {
+      const res = pending.get(id)
+      // the request was already answered (or the client went away)
+      if (!res) return
+      pending.delete(id)
+      try {
+        writeResponse(res, response)
+      } catch(err) {
+        log.error(`Unable to send response: ${ err.message }`, { requestId: id, error: err })
+        if (!res.headersSent) res.statusCode = 500
+        res.end()
+      }
+    }
+
+    const server = existingServer || (http || loadNodeModule('http')).createServer()
+    server.on('request', handle)
+    if (!existingServer) {
+      server.listen(port, host, () => log.info(`Listening on ${ host || 'port' } ${ port }`, { port, host }))
+    }
+
+    response$.addListener({
+      next: (response) => {
+        if (!response || !response._reqId) return log.warn('Server responses need a request id (_reqId)', { response })
+        if (response.command) return respond(response._reqId, response)
+        const { _reqId, _action, ...data } = response
+        data$.shamefullySendNext({ _reqId, _action, data })
+      },
+      error: err => log.error(`Server response error: ${ err && err.message }`, { error: err }),
+      complete: () => {
+        server.removeListener('request', handle)
+        if (!existingServer) server.close()
+      }
+    })
+
+    const route = (method) => (pattern='*') => {
+      const entry = { method, pattern, listeners: [] }
+      return adapt(xs.create({
+        start: listener => {
+          entry.listeners.push(listener)
+          if (!routes.includes(entry)) routes.push(entry)
+        },
+        stop: () => {
+          entry.listeners = []
+          const index = routes.indexOf(entry)
+          if (index !== -1) routes.splice(index, 1)
+        }
+      }))
+    }
+
+    const source = METHODS.reduce((acc, method) => {
+      acc[method] = route(method)
+      return acc
+    }, { all: route('all') })
+
+    source.request = (id) => adapt(data$.filter(response => response._reqId === id).take(1))
+    source.server  = server
+
+    return source
+  }
+}
+
+
+
+function makeRequestId() {
+  requestCounter++
+  return `${ Date.now().toString(36) }-${ requestCounter.toString(36) }`
+}
+
+/**
+ * read and parse a request body
+ *
+ * @param {IncomingMessage} req Node request
+ * @param {Number} limit largest body accepted in bytes
+ * @return {Promise} resolves to the parsed body, or rejects with an error carrying the response `status`
+ *
+ * oversized bodies are still read to the end (and thrown away) so the client gets the 413 response
+ * instead of a reset connection
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    const tooLarge = () => {
+      req.removeListener('data', collect)
+      req.resume()
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }))
+    }
+    const collect = chunk => {
+      size += chunk.length
+      if (size > limit) return tooLarge()
+      chunks.push(chunk)
+    }
+    if (Number(req.headers['content-length']) > limit) return tooLarge()
+    req.on('data', collect)
+    req.on('end', () => {
+      if (size > limit) return
+      try {
+        resolve(parseBody(Buffer.concat(chunks).toString('utf8'), req.headers['content-type']))
+      } catch(err) {
+        reject(err)
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+function parseBody(text, contentType='') {
+  if (text === '') return undefined
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(text)
+    } catch(err) {
+      throw Object.assign(new Error('Invalid JSON body'), { status: 400 })
+    }
+  }
+  if (contentType.includes('application/x-www-form-urlencoded')) return searchToObject(new URLSearchParams(text))
+  return text
+}
+
+function toRequest(id, req, body) {
+  const url     = new URL(req.url, 'http://localhost')
+  const headers = req.headers
+  return {
+    id,
+    method:  req.method,
+    url:     req.url,
+    path:    url.pathname,
+    params:  {},
+    query:   searchToObject(url.searchParams),
+    headers,
+    cookies: parseCookies(headers.cookie),
+    body,
+    ip:      req.socket && req.socket.remoteAddress,
+    get:     name => headers[String(name).toLowerCase()]
+  }
+}
+
+function searchToObject(params) {
+  const values = {}
+  params.forEach((value, key) => {
+    if (typeof values[key] === 'undefined') {
+      values[key] = value
+    } else {
+      values[key] = [].concat(values[key], value)
+    }
+  })
+  return values
+}
+
+function parseCookies(header='') {
+  return header.split(';').reduce((acc, pair) => {
+    const index = pair.indexOf('=')
+    if (index === -1) return acc
+    const name  = pair.slice(0, index).trim()
+    const value = pair.slice(index + 1).trim()
+    if (name) {
+      try {
+        acc[name] = decodeURIComponent(value)
+      } catch(err) {
+        acc[name] = value
+      }
+    }
+    return acc
+  }, {})
+}
+
+function serializeCookie(name, cookie) {
+  const { value, maxAge, expires, path = '/', domain, httpOnly, secure, sameSite } = (cookie && typeof cookie === 'object') ? cookie : { value: cookie }
+  const parts = [`${ name }=${ encodeURIComponent((value === null || typeof value === 'undefined') ? '' : value) }`]
+  if (typeof maxAge !== 'undefined') parts.push(`Max-Age=${ maxAge }`)
+  if (expires)  parts.push(`Expires=${ (expires instanceof Date) ? expires.toUTCString() : expires }`)
+  if (path)     parts.push(`Path=${ path }`)
+  if (domain)   parts.push(`Domain=${ domain }`)
+  if (httpOnly) parts.push('HttpOnly')
+  if (secure)   parts.push('Secure')
+  if (sameSite) parts.push(`SameSite=${ sameSite }`)
+  return parts.join('; ')
+}
+
+function isEnvelope(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || !('body' in data)) return false
+  return Object.keys(data).every(key => ENVELOPE_FIELDS.includes(key))
+}
+
+function writeResponse(res, { command, data }) {
+  const envelope = isEnvelope(data) ? data : { body: data }
+  const { status, headers = {}, cookies = {}, body } = envelope
+
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value))
+  const setCookies = Object.entries(cookies).map(([name, cookie]) => serializeCookie(name, cookie))
+  if (setCookies.length > 0) res.setHeader('Set-Cookie', setCookies)
+
+  const sendJSON = (code, value) => {
+    res.statusCode = code
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8')
+    res.end(JSON.stringify(value))
+  }
+
+  switch (command) {
+    case 'json':
+      return sendJSON(status || 200, (typeof body === 'undefined') ? null : body)
+    case 'redirect':
+      res.statusCode = status || 302
+      res.setHeader('Location', (typeof body === 'string') ? body : String(data))
+      return res.end()
+    case 'status':
+      res.statusCode = Number(status || data) || 200
+      return res.end()
+    case 'error': {
+      const { status: code = 500, message = 'Internal Server Error' } = data || {}
+      return sendJSON(code, { error: message })
+    }
+    case 'send':
+      if (body === null || typeof body === 'undefined') {
+        res.statusCode = status || 204
+        return res.end()
+      }
+      if (typeof body === 'object' && !Buffer.isBuffer(body)) return sendJSON(status || 200, body)
+      res.statusCode = status || 200
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', (typeof body === 'string' && body.trim().startsWith('<')) ? 'text/html; charset=utf-8' : 'text/plain; charset=utf-8')
+      return res.end(Buffer.isBuffer(body) ? body : String(body))
+    default:
+      throw new Error(`Unknown server response command: ${ command }`)
+  }
+}
@@ -0,0 +1,288 @@
+'use strict'
+
+import { default as xs, Stream } from 'xstream'
+import { StateSource } from '@cycle/state'
+import { mockDOMSource } from '@cycle/dom'
+import component from '../component'
+import { withModifiers } from '../timers'
+
+
+
+const TIMER_FUNCTIONS = ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval']
+const MAX_FLUSH_TASKS = 10000
+// longest delay component() uses internally (ex. before handling actions), flush() runs timers due within this many ms
+const INTERNAL_DELAY  = 10
+
+/**
+ * run a component definition against simulated sources on a virtual clock
+ *
+ * @param {Object} definition the same options object that would be passed to component()
+ * @param {Object} options test options
+ * @param {Object} options.initialState state to start the component with (overrides the definition's initialState)
+ * @param {Object} options.props props to pass to the component as if it were declared in a parent view
+ * @param {Array} options.children children to pass to the component as if it were declared in a parent view
+ * @param {Object} options.drivers maps source names to mock sources, mock configurations or real driver functions
+ * @return {Object} test harness with recorded `states`, `sinks` and `vdoms` plus `dispatch()`, `advance()`, `flush()` and `dispose()` methods
+ *
+ * all timers (including the ones used internally by component()) run on a virtual clock while the harness is active,
+ * and the short delays used internally have passed by the time `dispatch()` returns
+ * longer timers (ex. `timers`, debounced actions or requests waiting on a timeout) only fire when `advance(ms)` moves time past them
+ * mock configurations for DOM are passed to `mockDOMSource()` from @cycle/dom
+ * mock configurations for any other source map `select()` arguments to streams or arrays of values
+ * driver functions (ex. a router driver using memory history) are run with the component's matching sink
+ * always call `dispose()` when finished to restore the real timer functions
+ */
+export default function testComponent(definition, options={}) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('testComponent() requires a component definition object')
+  }
+
+  const { initialState, props, children=[], drivers={} } = options
+  const { name='NO NAME', stateSourceName='STATE', DOMSourceName='DOM' } = definition
+
+  const clock = makeVirtualClock()
+  clock.install()
+
+  const dispatch$ = xs.create()
+  const reducer$  = xs.create()
+  const state$    = reducer$.fold((state, reducer) => reducer(state), undefined).drop(1)
+
+  const driverSink$ = {}
+  const sources = makeMockSources(drivers, DOMSourceName, stateSourceName, driverSink$)
+  sources[stateSourceName] = new StateSource(state$, stateSourceName)
+
+  if (typeof props !== 'undefined') {
+    sources.props$    = xs.of(props).remember()
+    sources.children$ = xs.of(children).remember()
+  }
+
+  const userIntent = definition.intent
+  const intent = (sources) => {
+    const intent$ = (typeof userIntent === 'function') ? userIntent(sources) : {}
+    // entries can be `{ from, debounce, throttle, once }` as well as streams (see withModifiers())
+    const action$ = (intent$ instanceof Stream) ? intent$ : Object.entries(intent$ || {}).map(([type, entry]) => withModifiers(type, entry, name).map(data => ({ type, data })))
+    return xs.merge(xs.never(), dispatch$, ...[].concat(action$))
+  }
+
+  const startState = (typeof initialState !== 'undefined') ? initialState : (definition.initialState || propsToState(props))
+
+  const harness = {
+    clock,
+    sources,
+    states: [],
+    vdoms:  [],
+    sinks:  {},
+    errors: [],
+    get state() { return harness.states[harness.states.length - 1] },
+    get vdom()  { return harness.vdoms[harness.vdoms.length - 1] },
+    dispatch: (type, data) => {
+      dispatch$.shamefullySendNext({ type, data })
+      harness.flush()
+      return harness
+    },
+    advance: (ms) => {
+      clock.advance(ms)
+      return harness
+    },
+    flush: () => {
+      clock.flush()
+      return harness
+    },
+    dispose: () => {
+      subscriptions.forEach(subscription => subscription.unsubscribe())
+      clock.uninstall()
+    }
+  }
+
+  const record = (name, list) => ({
+    next:  val => list.push(val),
+    error: err => harness.errors.push({ sink: name, error: err })
+  })
+
+  let sinks
+  try {
+    sinks = component({ ...definition, intent, initialState: startState, sources })
+  } catch(err) {
+    clock.uninstall()
+    throw err
+  }
+
+  const subscriptions = [ state$.subscribe(record(stateSourceName, harness.states)) ]
+
+  Object.entries(sinks).forEach(([name, sink$]) => {
+    if (!(sink$ instanceof Stream) || name === 'props$' || name === 'children$') return
+    if (name === stateSourceName) {
+      subscriptions.push(sink$.subscribe({
+        next:  reducer => clock.setTimeout(() => reducer$.shamefullySendNext(reducer), 0),
+        error: err => harness.errors.push({ sink: name, error: err })
+      }))
+    } else if (name === DOMSourceName) {
+      subscriptions.push(sink$.subscribe(record(name, harness.vdoms)))
+    } else {
+      harness.sinks[name] = []
+      subscriptions.push(sink$.subscribe(record(name, harness.sinks[name])))
+      if (driverSink$[name]) driverSink$[name].imitate(sink$)
+    }
+  })
+
+  // components without a model never send an INITIALIZE reducer, so seed their state directly
+  if (typeof definition.model === 'undefined' && typeof startState !== 'undefined') {
+    clock.setTimeout(() => reducer$.shamefullySendNext(() => startState), 0)
+  }
+
+  harness.flush()
+
+  return harness
+}
+
+
+
+/**
+ * create a virtual clock that can stand in for the global timer functions
+ *
+ * @return {Object} clock with timer functions, `install()`, `uninstall()`, `advance(ms)` and `flush()`
+ *
+ * `advance(ms)` runs every timer due in the next `ms` virtual milliseconds in order
+ * `flush()` runs timers that are due, and timers with delays as short as the ones used by component(), moving time forward
+ * as they fire, and stops at the first longer timer (short intervals fire once per flush, so they can't keep it running)
+ */
+function makeVirtualClock() {
+  let now    = 0
+  let nextId = 1
+  let tasks  = []
+  let originals
+
+  const schedule = (fn, ms, args, repeat) => {
+    const id    = nextId++
+    const delay = Math.max(0, Number(ms) || 0)
+    tasks.push({ id, fn, args, at: now + delay, delay, repeat })
+    return id
+  }
+
+  const cancel = (id) => {
+    tasks = tasks.filter(task => task.id !== id)
+  }
+
+  const earliest = () => tasks.reduce((first, task) => (task.at < first.at || (task.at === first.at && task.id < first.id)) ? task : first)
+
+  const runNext = (until) => {
+    if (tasks.length === 0) return false
+    const task = earliest()
+    if (task.at > until) return false
+    now = task.at
+    if (task.repeat) {
+      task.at = now + Math.max(1, task.delay)
+    } else {
+      cancel(task.id)
+    }
+    task.fn(...task.args)
+    return true
+  }
+
+  const clock = {
+    get now() { return now },
+    get pending() { return tasks.length },
+    setTimeout:    (fn, ms, ...args) => schedule(fn, ms, args, false),
+    setInterval:   (fn, ms, ...args) => schedule(fn, ms, args, true),
+    clearTimeout:  cancel,
+    clearInterval: cancel,
+    install: () => {
+      if (originals) return
+      originals = TIMER_FUNCTIONS.reduce((acc, name) => {
+        acc[name] = globalThis[name]
+        globalThis[name] = clock[name]
+        return acc
+      }, {})
+    },
+    uninstall: () => {
+      if (!originals) return
+      TIMER_FUNCTIONS.forEach(name => globalThis[name] = originals[name])
+      originals = undefined
+    },
+    advance: (ms) => {
+      const until = now + ms
+      let count = 0
+      while (runNext(until)) {
+        if (++count > MAX_FLUSH_TASKS) throw new Error(`Virtual clock ran more than ${ MAX_FLUSH_TASKS } timers without settling`)
+      }
+      now = until
+    },
+    flush: () => {
+      let count = 0
+      // xstream's delay and debounce use intervals, so short ones run too, but only once so they can't keep flush() going
+      const fired = new Set()
+      while (tasks.length > 0) {
+        const first = earliest()
+        const short = first.delay <= INTERNAL_DELAY && first.at <= now + INTERNAL_DELAY
+        if ((first.at > now && !short) || fired.has(first.id)) return
+        if (first.repeat) fired.add(first.id)
+        runNext(first.at)
+        if (++count > MAX_FLUSH_TASKS) throw new Error(`Virtual clock ran more than ${ MAX_FLUSH_TASKS } timers without settling`)
+      }
+    }
+  }
+
+  return clock
+}
+
+/**
+ * build the sources object for a test run from the `drivers` option
+ *
+ * @param {Object} drivers maps source names to mock sources or mock configurations
+ * @param {String} DOMSourceName name of the DOM source
+ * @param {String} stateSourceName name of the state source (always supplied by the harness)
+ * @param {Object} driverSink$ collects the sink proxy streams created for driver functions
+ * @return {Object} cycle style sources object
+ */
+function makeMockSources(drivers, DOMSourceName, stateSourceName, driverSink$) {
+  const defaults = { [DOMSourceName]: {}, EVENTS: {}, HTTP: {}, LOG: undefined }
+  return Object.entries({ ...defaults, ...drivers }).reduce((acc, [name, mock]) => {
+    if (name === stateSourceName) return acc
+    if (typeof mock === 'function') {
+      driverSink$[name] = xs.create()
+      acc[name] = mock(driverSink$[name])
+    } else if (mock && typeof mock.select === 'function') {
+      acc[name] = mock
+    } else if (name === DOMSourceName) {
+      acc[name] = mockDOMSource(mock || {})
+    } else if (mock && typeof mock === 'object') {
+      acc[name] = makeSelectableSource(mock)
+    } else {
+      acc[name] = mock
+    }
+    return acc
+  }, {})
+}
+
+/**
+ * create a mock source with a `select()` method
+ *
+ * @param {Object} config maps selector values to streams or arrays of values
+ * @return {Object} source whose `select(key)` returns the configured stream (or a stream that never emits)
+ */
+function makeSelectableSource(config) {
+  return {
+    select: (key) => {
+      const found = config[key]
+      if (found instanceof Stream) return found
+      if (Array.isArray(found))    return xs.fromArray(found)
+      return xs.never()
+    }
+  }
+}
+
+/**
+ * derive a starting state from props the same way view declared sub-components do
+ *
+ * @param {Object} props props passed to the component
+ * @return {Any} state for the component
+ */
+function propsToState(props) {
+  if (!props || typeof props !== 'object') return undefined
+  const state = props.state
+  if (typeof state === 'undefined') return props
+  if (typeof state !== 'object')    return state
+  const copy = { ...props }
+  delete copy.state
+  return { ...copy, ...state }
+}
@@ -5,3 +5,14 @@ export { default as collection } from "./collection"
 export { default as switchable } from "./switchable"
 export { default as processForm } from "./extra/processForm"
 export { default as run } from './extra/run'
+export { default as testComponent } from './extra/testComponent'
+export { default as renderToString } from './extra/renderToString'
+export { default as createHistory, withHistory } from './extra/history'
+export { default as withPersistence, webStorage, memoryStorage, indexedDBStorage, fileStorage } from './extra/persistence'
+export { default as makeRouterDriver, matchRoute } from './extra/routerDriver'
+export { makeEventBusDriver } from './extra/eventDriver'
+export { default as createLogger, logger, configureLogging, makeLogDriver, consoleTransport, memoryTransport, fileTransport } from './extra/logger'
+export { default as makeServerDriver } from './extra/serverDriver'
+export { accessLog, rateLimit } from './extra/middleware'
+export { calculatedReport } from './calculated'
+export { default as hot } from './extra/hot'
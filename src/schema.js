@@ -0,0 +1,150 @@
+'use strict'
+
+
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'function', 'date', 'any']
+
+const DEFINITION_KEYS = ['type', 'required', 'nullable', 'default', 'of', 'shape', 'oneOf', 'min', 'max', 'validate']
+
+/**
+ * whether schema checks should run (anything but NODE_ENV=production)
+ *
+ * written so bundlers that replace `process.env.NODE_ENV` can turn this into a constant
+ */
+export const IS_DEVELOPMENT = (() => {
+  try {
+    return process.env.NODE_ENV !== 'production'
+  } catch(err) {
+    return true
+  }
+})()
+
+/**
+ * check a value against a schema
+ *
+ * @param {Any} schema schema to check against (see below)
+ * @param {Any} value value to check
+ * @param {String} path name of the value used in messages
+ * @return {Array} error messages (empty if the value is valid)
+ *
+ * a schema can be:
+ * - a type name: 'string', 'number', 'integer', 'boolean', 'object', 'array', 'function', 'date' or 'any'
+ * - an array with one schema, for arrays of matching items (ex. `['string']`)
+ * - a definition `{ type, required, nullable, default, of, shape, oneOf, min, max, validate }`
+ * - an object mapping field names to schemas (a shape)
+ * - a function returning an error message, `false` for a generic error, or anything else when valid
+ * `min` and `max` limit numbers, or the length of strings and arrays
+ */
+export function validateSchema(schema, value, path='value') {
+  const definition = toDefinition(schema)
+  const errors     = []
+
+  if (value === undefined || value === null) {
+    if (value === null && definition.nullable) return errors
+    if (definition.required) errors.push(`${ path } is required`)
+    return errors
+  }
+
+  const { type, of, shape, oneOf, min, max, validate } = definition
+
+  if (type && type !== 'any' && !isType(type, value)) {
+    errors.push(`${ path } should be ${ article(type) } ${ type } but got ${ describe(value) }`)
+    return errors
+  }
+
+  if (Array.isArray(oneOf) && !oneOf.includes(value)) {
+    errors.push(`${ path } should be one of ${ oneOf.map(option => JSON.stringify(option)).join(', ') } but got ${ JSON.stringify(value) }`)
+  }
+
+  const size = (typeof value === 'number') ? value : ((typeof value === 'string' || Array.isArray(value)) ? value.length : undefined)
+  const unit = (typeof value === 'number') ? '' : ' in length'
+  if (typeof min === 'number' && typeof size === 'number' && size < min) errors.push(`${ path } should be at least ${ min }${ unit }`)
+  if (typeof max === 'number' && typeof size === 'number' && size > max) errors.push(`${ path } should be at most ${ max }${ unit }`)
+
+  if (of && Array.isArray(value)) {
+    value.forEach((item, index) => errors.push(...validateSchema(of, item, `${ path }[${ index }]`)))
+  }
+
+  if (shape && typeof value === 'object') {
+    Object.entries(shape).forEach(([field, fieldSchema]) => {
+      errors.push(...validateSchema(fieldSchema, value[field], `${ path }.${ field }`))
+    })
+  }
+
+  if (typeof validate === 'function') {
+    const result = validate(value)
+    if (result === false) errors.push(`${ path } is invalid`)
+    if (typeof result === 'string' && result) errors.push(`${ path } ${ result }`)
+  }
+
+  return errors
+}
+
+/**
+ * fill in default values for missing fields
+ *
+ * @param {Object} shape object mapping field names to schemas
+ * @param {Object} value object to add defaults to
+ * @return {Object} copy of the object with defaults added (or the object itself if nothing was missing)
+ *
+ * `default` can be a function (called for each use) unless the field's type is 'function'
+ */
+export function applyDefaults(shape, value) {
+  if (!shape || typeof shape !== 'object' || !value || typeof value !== 'object' || Array.isArray(value)) return value
+  const missing = Object.entries(shape).filter(([field, schema]) => {
+    const definition = toDefinition(schema)
+    return typeof value[field] === 'undefined' && typeof definition.default !== 'undefined'
+  })
+  if (missing.length === 0) return value
+  return missing.reduce((acc, [field, schema]) => {
+    const definition = toDefinition(schema)
+    const fallback   = definition.default
+    acc[field] = (typeof fallback === 'function' && definition.type !== 'function') ? fallback() : fallback
+    return acc
+  }, { ...value })
+}
+
+
+
+function toDefinition(schema) {
+  if (typeof schema === 'string') {
+    if (!TYPES.includes(schema)) throw new Error(`Unknown schema type: ${ schema } (expecting one of ${ TYPES.join(', ') })`)
+    return { type: schema }
+  }
+  if (typeof schema === 'function') return { validate: schema }
+  if (Array.isArray(schema)) return { type: 'array', of: schema[0] }
+  if (!schema || typeof schema !== 'object') return {}
+  if (isDefinition(schema)) {
+    if (schema.type && !TYPES.includes(schema.type)) throw new Error(`Unknown schema type: ${ schema.type } (expecting one of ${ TYPES.join(', ') })`)
+    return (schema.shape && !schema.type) ? { ...schema, type: 'object' } : schema
+  }
+  return { type: 'object', shape: schema }
+}
+
+function isDefinition(schema) {
+  const keys = Object.keys(schema)
+  // a shape can have a field called 'type', so only treat objects made of definition keys as definitions
+  return keys.length > 0 && keys.every(key => DEFINITION_KEYS.includes(key)) && (typeof schema.type === 'undefined' || typeof schema.type === 'string')
+}
+
+function isType(type, value) {
+  switch (type) {
+    case 'array':   return Array.isArray(value)
+    case 'object':  return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+    case 'date':    return value instanceof Date && !isNaN(value.getTime())
+    case 'integer': return Number.isInteger(value)
+    case 'number':  return typeof value === 'number' && !isNaN(value)
+    default:        return typeof value === type
+  }
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return 'an array'
+  if (value instanceof Date) return 'a date'
+  if (typeof value === 'number' && isNaN(value)) return 'NaN'
+  return `${ article(typeof value) } ${ typeof value }`
+}
+
+function article(word) {
+  return /^[aeiou]/.test(word) ? 'an' : 'a'
+}
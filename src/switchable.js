@@ -15,10 +15,10 @@ export default function switchable(factories, name$, initial, switched=['DOM'],
 
   if (name$ instanceof Stream) {
     const withInitial$ = name$
-      .compose(dropRepeats())
       .startWith(initial)
+      .compose(dropRepeats())
       .remember()
-    return sources => _switchable(factories, sources, withInitial$, switched)
+    return sources => _switchable(factories, sources, withInitial$, switched, stateSourceName)
   } else {
     const mapFunction = (nameType === 'function' && name$) || (state => state[name$])
     return sources => {
@@ -61,7 +61,7 @@ function _switchable (factories, sources, name$, switched=['DOM'], stateSourceNa
                            .remember()
 
         const state = new sources[stateSourceName].constructor(switched, sources[stateSourceName]._name)
-        return [name, factory({ ...sources, state })]
+        return [name, factory({ ...sources, [stateSourceName]: state })]
       }
       return [name, factory(sources)]
     })
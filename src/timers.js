@@ -0,0 +1,121 @@
+'use strict'
+
+import { default as xs, Stream } from 'xstream'
+import debounce from 'xstream/extra/debounce.js'
+import throttle from 'xstream/extra/throttle.js'
+
+
+
+const MODIFIER_KEYS = ['from', 'debounce', 'throttle', 'once']
+const TIMER_KEYS    = ['every', 'after', 'data', 'when', 'restartOn']
+
+/**
+ * get the stream for an action returned from intent, with any modifiers applied
+ *
+ * @param {String} type action type (used in error messages)
+ * @param {Stream|Object} entry the action's stream, or `{ from, debounce, throttle, once }` where `from` is the stream
+ * @param {String} name name of the component (used in error messages)
+ * @return {Stream} stream of data for the action
+ *
+ * `debounce` waits until the stream has been quiet for that many milliseconds, then sends the last value
+ * `throttle` sends a value, then ignores any others for that many milliseconds
+ * `once` only lets the first value through
+ */
+export function withModifiers(type, entry, name) {
+  if (entry instanceof Stream) return entry
+  if (!entry || typeof entry !== 'object' || !(entry.from instanceof Stream)) {
+    throw new Error(`Intent for <${ type }> must be a stream or an object with a 'from' stream: ${ name }`)
+  }
+
+  const unknown = Object.keys(entry).filter(key => !MODIFIER_KEYS.includes(key))
+  if (unknown.length > 0) throw new Error(`Unknown modifier${ unknown.length > 1 ? 's' : '' } for <${ type }>: ${ unknown.join(', ') } (expecting ${ MODIFIER_KEYS.join(', ') }): ${ name }`)
+
+  let data$ = entry.from
+  if (typeof entry.debounce !== 'undefined') data$ = data$.compose(debounce(toTime(entry.debounce, `debounce for <${ type }>`, name)))
+  if (typeof entry.throttle !== 'undefined') data$ = data$.compose(throttle(toTime(entry.throttle, `throttle for <${ type }>`, name)))
+  if (entry.once) data$ = data$.take(1)
+  return data$
+}
+
+/**
+ * make the actions sent by a component's timers
+ *
+ * @param {Object} timers maps action types to timer definitions `{ every, after, data, when, restartOn }`
+ * @param {Object} options
+ * @param {Stream} options.action$ actions from the component's intent (used for `restartOn`)
+ * @param {Function} options.getState returns the component's current state (used when `data` or `when` are functions)
+ * @param {String} options.name name of the component (used in error messages)
+ * @return {Object} `{ stream, cancel }` with the stream of timer actions and a function that stops every timer for good
+ *
+ * `every` sends the action repeatedly, `after` sends it once, both in milliseconds after the timer starts
+ * `data` is sent with the action, and can be a function of state
+ * `when` is a function of state, and ticks are skipped while it returns something falsy
+ * `restartOn` is an action type (or array of types) from intent that starts the timer over (ex. activity for a session timeout)
+ */
+export default function makeTimers(timers, { action$, getState, name }) {
+  if (!timers || typeof timers !== 'object') throw new Error(`The timers parameter must be an object mapping action types to timer definitions: ${ name }`)
+
+  const running = new Set()
+  let cancelled = false
+
+  const timer$s = Object.entries(timers).map(([type, timer]) => {
+    const { every, after, data, when, restartOn } = checkTimer(type, timer, name)
+    const repeat    = typeof every !== 'undefined'
+    const time      = toTime(repeat ? every : after, `${ repeat ? 'every' : 'after' } for timer <${ type }>`, name)
+    const restarts  = [].concat(restartOn || [])
+    const restart$  = (restarts.length > 0) ? action$.filter(action => action && restarts.includes(action.type)) : xs.never()
+
+    // every restart swaps in a fresh ticker, which stops the previous one
+    return xs.merge(xs.of(null), restart$)
+      .map(_ => cancelled ? xs.empty() : ticker(time, repeat, running))
+      .flatten()
+      .filter(_ => typeof when !== 'function' || !!when(getState()))
+      .map(_ => ({ type, data: (typeof data === 'function') ? data(getState()) : data }))
+  })
+
+  const cancel = () => {
+    cancelled = true
+    running.forEach(stop => stop())
+    running.clear()
+  }
+
+  return { stream: xs.merge(...timer$s), cancel }
+}
+
+
+
+function ticker(time, repeat, running) {
+  let id
+  const stop = () => {
+    if (repeat) clearInterval(id)
+    else clearTimeout(id)
+    running.delete(stop)
+  }
+
+  return xs.create({
+    start: listener => {
+      id = repeat ? setInterval(() => listener.next(true), time) : setTimeout(() => listener.next(true), time)
+      running.add(stop)
+    },
+    stop
+  })
+}
+
+function checkTimer(type, timer, name) {
+  if (!timer || typeof timer !== 'object') throw new Error(`Timer <${ type }> must be an object like { every: 1000 } or { after: 1000 }: ${ name }`)
+
+  const unknown = Object.keys(timer).filter(key => !TIMER_KEYS.includes(key))
+  if (unknown.length > 0) throw new Error(`Unknown option${ unknown.length > 1 ? 's' : '' } for timer <${ type }>: ${ unknown.join(', ') } (expecting ${ TIMER_KEYS.join(', ') }): ${ name }`)
+
+  const hasEvery = typeof timer.every !== 'undefined'
+  const hasAfter = typeof timer.after !== 'undefined'
+  if (hasEvery === hasAfter) throw new Error(`Timer <${ type }> needs either 'every' or 'after' (but not both): ${ name }`)
+  if (typeof timer.when !== 'undefined' && typeof timer.when !== 'function') throw new Error(`The 'when' option for timer <${ type }> must be a function of state: ${ name }`)
+
+  return timer
+}
+
+function toTime(value, label, name) {
+  if (typeof value !== 'number' || !(value >= 0)) throw new Error(`Invalid ${ label }: expecting a number of milliseconds but got ${ value }: ${ name }`)
+  return value
+}
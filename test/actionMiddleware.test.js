@@ -0,0 +1,84 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { testComponent, configureLogging, memoryTransport } = require('../dist/index.js')
+
+// rejected actions are logged, so keep them out of the test output
+configureLogging({ transports: [memoryTransport()] })
+
+
+
+const counter = (actionMiddleware) => ({
+  name: 'Counter',
+  initialState: { count: 0, message: null },
+  actionMiddleware,
+  model: {
+    ADD:         (state, amount) => ({ ...state, count: state.count + amount }),
+    ADMIN_RESET: (state) => ({ ...state, count: 0 }),
+    SHOW_ERROR:  (state, message) => ({ ...state, message }),
+    SAVE:        { EVENTS: (state) => ({ type: 'saved', data: state.count }) }
+  }
+})
+
+test('before hooks can replace actions', () => {
+  const guard   = (action) => { if (action.type.startsWith('ADMIN_')) return { type: 'SHOW_ERROR', data: 'Not allowed' } }
+  const harness = testComponent(counter(guard))
+  try {
+    harness.dispatch('ADD', 2).dispatch('ADMIN_RESET')
+    assert.deepStrictEqual(harness.state, { count: 2, message: 'Not allowed' })
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('before hooks can drop actions and fan them out', () => {
+  const middleware = (action) => {
+    if (action.type === 'ADD' && action.data < 0) return null
+    if (action.type === 'ADD' && action.data > 10) return [{ type: 'ADD', data: 10 }, { type: 'ADD', data: action.data - 10 }]
+  }
+  const seen    = []
+  const harness = testComponent(counter([middleware, { before: (action) => { seen.push(action.data) } }]))
+  try {
+    harness.dispatch('ADD', -5).dispatch('ADD', 12)
+    assert.strictEqual(harness.state.count, 12)
+    assert.deepStrictEqual(seen.filter(data => typeof data === 'number'), [10, 2])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('before hooks can hold actions until a Promise resolves', async () => {
+  let release
+  const harness = testComponent(counter((action) => {
+    if (action.type === 'ADD') return new Promise(resolve => release = () => resolve(action))
+  }))
+  try {
+    harness.dispatch('ADD', 4)
+    assert.strictEqual(harness.state.count, 0)
+    release()
+    // setImmediate() isn't replaced by the virtual clock, so it waits for the Promise chain to finish
+    await new Promise(resolve => setImmediate(resolve))
+    harness.flush()
+    assert.strictEqual(harness.state.count, 4)
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('after hooks see every output of the model', () => {
+  const outputs = []
+  const audit   = { after: (action, { sink, value }, ctx) => outputs.push({ type: action.type, sink, value, component: ctx.component }) }
+  const harness = testComponent(counter(audit))
+  try {
+    harness.dispatch('ADD', 3).dispatch('SAVE')
+    const added = outputs.find(output => output.type === 'ADD')
+    const saved = outputs.find(output => output.type === 'SAVE')
+    assert.deepStrictEqual(added, { type: 'ADD', sink: 'STATE', value: { count: 3, message: null }, component: 'Counter' })
+    assert.strictEqual(saved.sink, 'EVENTS')
+    assert.strictEqual(saved.value.data, 3)
+    assert.strictEqual(harness.sinks.EVENTS.length, 1)
+  } finally {
+    harness.dispose()
+  }
+})
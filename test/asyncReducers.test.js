@@ -0,0 +1,114 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const xs = require('xstream').default
+const { testComponent, configureLogging, memoryTransport } = require('../dist/index.js')
+
+// failed async reducers are logged, so keep them out of the test output
+configureLogging({ transports: [memoryTransport()] })
+
+
+
+// setImmediate() isn't replaced by the virtual clock, so it waits for pending Promise chains
+const settle = (harness) => new Promise(resolve => setImmediate(resolve)).then(() => harness.flush())
+
+const deferred = () => {
+  let resolve, reject
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej })
+  return { promise, resolve, reject }
+}
+
+test('Promises resolving to reducers update the latest state and track their status', async () => {
+  const load    = deferred()
+  const harness = testComponent({
+    name: 'User',
+    initialState: { user: null, clicks: 0 },
+    model: {
+      LOAD:  () => load.promise.then(user => state => ({ ...state, user })),
+      CLICK: (state) => ({ ...state, clicks: state.clicks + 1 })
+    }
+  })
+  try {
+    harness.dispatch('LOAD')
+    assert.deepStrictEqual(harness.state.asyncStatus, { LOAD: { pending: true, error: null } })
+    harness.dispatch('CLICK')
+    load.resolve('ann')
+    await settle(harness)
+    assert.strictEqual(harness.state.user, 'ann')
+    assert.strictEqual(harness.state.clicks, 1)
+    assert.deepStrictEqual(harness.state.asyncStatus, { LOAD: { pending: false, error: null } })
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('rejections are stored as a message so state stays serializable', async () => {
+  const harness = testComponent({
+    name: 'User',
+    initialState: { user: null },
+    model: {
+      LOAD:   () => Promise.reject(new Error('offline')),
+      REFUSE: () => Promise.reject('no')
+    }
+  })
+  try {
+    harness.dispatch('LOAD').dispatch('REFUSE')
+    await settle(harness)
+    const { asyncStatus } = JSON.parse(JSON.stringify(harness.state))
+    assert.deepStrictEqual(asyncStatus, {
+      LOAD:   { pending: false, error: { message: 'offline' } },
+      REFUSE: { pending: false, error: { message: 'no' } }
+    })
+    assert.strictEqual(harness.state.user, null)
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('a newer action cancels the result of an older one of the same type', async () => {
+  const first   = deferred()
+  const second  = deferred()
+  const pending = [first, second]
+  const harness = testComponent({
+    name: 'Search',
+    initialState: { results: [] },
+    model: {
+      SEARCH: () => pending.shift().promise.then(results => state => ({ ...state, results }))
+    }
+  })
+  try {
+    harness.dispatch('SEARCH').dispatch('SEARCH')
+    second.resolve(['new'])
+    await settle(harness)
+    first.resolve(['old'])
+    await settle(harness)
+    assert.deepStrictEqual(harness.state.results, ['new'])
+    assert.deepStrictEqual(harness.state.asyncStatus.SEARCH, { pending: false, error: null })
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('Streams send each value to other sinks, and status tracking can be turned off', async () => {
+  const progress$ = xs.create()
+  const harness   = testComponent({
+    name: 'Upload',
+    initialState: {},
+    asyncStatusField: false,
+    model: {
+      UPLOAD: { EVENTS: () => progress$.map(percent => ({ type: 'progress', data: percent })) }
+    }
+  })
+  try {
+    harness.dispatch('UPLOAD')
+    progress$.shamefullySendNext(50)
+    progress$.shamefullySendNext(100)
+    progress$.shamefullySendComplete()
+    await settle(harness)
+    assert.deepStrictEqual(harness.sinks.EVENTS.map(event => event.data), [50, 100])
+    assert.strictEqual(harness.state.asyncStatus, undefined)
+  } finally {
+    harness.dispose()
+  }
+})
@@ -0,0 +1,87 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { testComponent, calculatedReport, configureLogging, memoryTransport } = require('../dist/index.js')
+
+// fields that throw are logged, so keep them out of the test output
+configureLogging({ transports: [memoryTransport()] })
+
+
+
+const picker = (name, calculated) => ({
+  name,
+  initialState: { items: [{ id: 1 }, { id: 2, label: 'two' }], sel: 1, other: 0 },
+  calculated,
+  model: {
+    SEL:   (state, sel) => ({ ...state, sel }),
+    OTHER: (state) => ({ ...state, other: state.other + 1 })
+  }
+})
+
+test('calculated fields are added to state', () => {
+  const harness = testComponent(picker('Picker', {
+    selected: state => state.items.find(item => item.id === state.sel),
+    count:    state => state.items.length
+  }))
+  try {
+    assert.deepStrictEqual(harness.state.selected, { id: 1 })
+    assert.strictEqual(harness.state.count, 2)
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('calculated fields are only recomputed when the fields they read change', () => {
+  const harness = testComponent(picker('Memo', {
+    selected: state => state.items.find(item => item.id === state.sel),
+    total:    { deps: ['items'], fn: state => state.items.length },
+    label:    state => `${ state.total } items`
+  }))
+  try {
+    const before = calculatedReport().Memo
+    harness.dispatch('OTHER')
+    const after = calculatedReport().Memo
+    assert.strictEqual(after.selected.recomputed, before.selected.recomputed)
+    assert.strictEqual(after.total.recomputed, before.total.recomputed)
+    assert.deepStrictEqual(after.selected.deps.sort(), ['items', 'sel'])
+    assert.deepStrictEqual(after.label.deps, ['total'])
+    harness.dispatch('SEL', 2)
+    assert.strictEqual(calculatedReport().Memo.selected.recomputed, after.selected.recomputed + 1)
+    assert.strictEqual(harness.state.label, '2 items')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('calculated fields that return undefined replace the value stored in state', () => {
+  const harness = testComponent(picker('Undefined', {
+    selected: state => state.items.find(item => item.id === state.sel)
+  }))
+  try {
+    harness.dispatch('SEL', 3)
+    assert.strictEqual(harness.state.selected, undefined)
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('calculated fields that throw are left out', () => {
+  const harness = testComponent(picker('Throws', {
+    label: state => state.items.find(item => item.id === state.sel).label.toUpperCase()
+  }))
+  try {
+    assert.strictEqual('label' in harness.state, false)
+    harness.dispatch('SEL', 2)
+    assert.strictEqual(harness.state.label, 'TWO')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('circular dependencies between calculated fields throw', () => {
+  assert.throws(() => testComponent(picker('Cycle', {
+    a: { deps: ['b'], fn: state => state.b },
+    b: { deps: ['a'], fn: state => state.a }
+  })), /Circular dependency between calculated fields/)
+})
@@ -0,0 +1,136 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { component, collection, testComponent, configureLogging, memoryTransport } = require('../dist/index.js')
+const { text } = require('./helpers.js')
+
+const logged = memoryTransport()
+configureLogging({ transports: [logged] })
+
+
+
+const Todo = component({
+  name: 'Todo',
+  intent: ({ EVENTS }) => ({
+    TOGGLE: EVENTS.select('toggle'),
+    DELETE: EVENTS.select('delete')
+  }),
+  model: {
+    TOGGLE: (state, id) => (id === state.id) ? { ...state, done: !state.done } : state,
+    DELETE: (state, id) => (id === state.id) ? undefined : state
+  },
+  view: ({ state }) => h('li', `${ state.text }${ state.done ? '*' : '' } `)
+})
+
+const todos = [
+  { uuid: 'b', id: 2, text: 'bread', done: false },
+  { uuid: 'a', id: 1, text: 'apples', done: false },
+  { uuid: 'c', id: 3, text: 'cheese', done: true }
+]
+
+const list = (options) => ({
+  name: 'TodoList',
+  initialState: { todos },
+  children: {
+    items: collection(Todo, 'todos', ['DOM'], ['EVENTS'], 'STATE', options)
+  },
+  view: ({ items }) => h('ul', items)
+})
+
+test('collection() renders an item for each entry', () => {
+  const harness = testComponent(list({ itemKey: todo => todo.uuid }))
+  try {
+    assert.strictEqual(text(harness.vdom), 'bread apples cheese* ')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('collection() filters and sorts items while keeping the original order in state', () => {
+  const harness = testComponent(list({
+    itemKey: todo => todo.uuid,
+    filter:  todo => !todo.done,
+    sort:    (a, b) => a.text.localeCompare(b.text)
+  }))
+  try {
+    assert.strictEqual(text(harness.vdom), 'apples bread ')
+    assert.deepStrictEqual(harness.state.todos.map(todo => todo.uuid), ['b', 'a', 'c'])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('edits made by filtered and sorted items are written back to the right entry', () => {
+  const harness = testComponent(list({
+    itemKey: todo => todo.uuid,
+    filter:  todo => !todo.done,
+    sort:    (a, b) => a.text.localeCompare(b.text)
+  }), { drivers: { EVENTS: { toggle: [1] } } })
+  try {
+    assert.deepStrictEqual(harness.state.todos.map(todo => [todo.uuid, todo.done]), [['b', false], ['a', true], ['c', true]])
+    assert.strictEqual(text(harness.vdom), 'bread ')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('items remove themselves by returning undefined', () => {
+  const harness = testComponent(list({ itemKey: todo => todo.uuid, sort: (a, b) => a.text.localeCompare(b.text) }), { drivers: { EVENTS: { delete: [2] } } })
+  try {
+    assert.deepStrictEqual(harness.state.todos.map(todo => todo.uuid), ['a', 'c'])
+    assert.strictEqual(text(harness.vdom), 'apples cheese* ')
+  } finally {
+    harness.dispose()
+  }
+})
+
+const viewList = (props, view) => ({
+  name: 'ViewList',
+  components: { Todo },
+  initialState: { todos, other: 1 },
+  view: view || (({ state }) => h('ul', [h('collection', { props: { component: 'Todo', value: state.todos, ...props } })]))
+})
+
+test('<collection> elements filter and sort items', () => {
+  const harness = testComponent(viewList({ itemKey: todo => todo.uuid, filter: todo => !todo.done, sort: (a, b) => a.text.localeCompare(b.text) }))
+  try {
+    assert.strictEqual(text(harness.vdom), 'apples bread ')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('edits made by <collection> items are written back to the state field passed as value', () => {
+  const harness = testComponent(viewList({ itemKey: todo => todo.uuid, filter: todo => !todo.done, sort: (a, b) => a.text.localeCompare(b.text) }), { drivers: { EVENTS: { toggle: [1] } } })
+  try {
+    assert.deepStrictEqual(harness.state.todos.map(todo => [todo.uuid, todo.done]), [['b', false], ['a', true], ['c', true]])
+    assert.strictEqual(harness.state.other, 1)
+    assert.strictEqual(text(harness.vdom), 'bread ')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('<collection> items remove themselves by returning undefined', () => {
+  const harness = testComponent(viewList({ itemKey: todo => todo.uuid }), { drivers: { EVENTS: { delete: [2] } } })
+  try {
+    assert.deepStrictEqual(harness.state.todos.map(todo => todo.uuid), ['a', 'c'])
+    assert.strictEqual(text(harness.vdom), 'apples cheese* ')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('edits to a <collection> value that is not a state field are ignored with a warning', () => {
+  logged.clear()
+  const view    = ({ state }) => h('ul', [h('collection', { props: { component: 'Todo', value: state.todos.slice(1) } })])
+  const harness = testComponent(viewList({}, view), { drivers: { EVENTS: { delete: [1] } } })
+  try {
+    assert.strictEqual(harness.state.todos.length, 3)
+    assert.strictEqual(logged.records.filter(record => record.level === 'warn' && /collection items are ignored/.test(record.msg)).length, 1)
+  } finally {
+    harness.dispose()
+  }
+})
@@ -0,0 +1,90 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const xs = require('xstream').default
+const { h } = require('@cycle/dom')
+const { component, testComponent } = require('../dist/index.js')
+const { text } = require('./helpers.js')
+
+
+
+let leafRenders = 0
+let plainRenders = 0
+
+const Leaf = component({
+  name: 'Leaf',
+  view: ({ context }) => {
+    leafRenders++
+    return h('b', `${ context.user } ${ context.theme }`)
+  }
+})
+
+const Plain = component({
+  name: 'Plain',
+  view: () => {
+    plainRenders++
+    return h('i', 'plain')
+  }
+})
+
+const Mid = component({
+  name: 'Mid',
+  components: { Leaf, Plain },
+  context: { theme: 'dark' },
+  view: () => h('section', [h('Leaf'), h('Plain')])
+})
+
+const makeTop = (user$) => ({
+  name: 'Top',
+  components: { Mid },
+  initialState: { count: 0 },
+  context: { user: user$, theme: 'light' },
+  model: {
+    COUNT: (state) => ({ ...state, count: state.count + 1 })
+  },
+  view: ({ context }) => h('div', [h('span', `${ context.theme } `), h('Mid')])
+})
+
+test('descendants read provided values, with closer providers winning', () => {
+  const harness = testComponent(makeTop(xs.of('ann')))
+  try {
+    assert.strictEqual(text(harness.vdom), 'light ann darkplain')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('context changes re-render only the consumers, and reach the rendered output', () => {
+  const user$   = xs.create()
+  const harness = testComponent(makeTop(user$.startWith('ann')))
+  try {
+    const leaf  = leafRenders
+    const plain = plainRenders
+    user$.shamefullySendNext('bob')
+    harness.flush()
+    assert.strictEqual(leafRenders, leaf + 1)
+    assert.strictEqual(plainRenders, plain)
+    assert.strictEqual(text(harness.vdom), 'light bob darkplain')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('context values can be functions of the provider state', () => {
+  const Name = component({ name: 'Name', view: ({ context }) => h('b', context.name) })
+  const harness = testComponent({
+    name: 'Provider',
+    components: { Name },
+    initialState: { name: 'ann' },
+    context: { name: (state) => state.name.toUpperCase() },
+    model: { NAME: (state, name) => ({ ...state, name }) },
+    view: () => h('div', [h('Name')])
+  })
+  try {
+    harness.dispatch('NAME', 'bob')
+    assert.strictEqual(text(harness.vdom), 'BOB')
+  } finally {
+    harness.dispose()
+  }
+})
@@ -0,0 +1,106 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const xs = require('xstream').default
+const { h } = require('@cycle/dom')
+const { component, testComponent } = require('../dist/index.js')
+
+
+
+const Button = component({
+  name: 'Button',
+  intent: ({ EVENTS }) => ({ PRESS: EVENTS.select('press') }),
+  model: {
+    PRESS: { EMIT: (state) => ({ type: 'pressed', data: state.label }) },
+    MOUNT: { EMIT: () => 'mounted' }
+  },
+  view: ({ state }) => h('button', state.label)
+})
+
+const Toolbar = component({
+  name: 'Toolbar',
+  components: { Button },
+  view: () => h('div', [h('Button', { props: { id: 'inner', label: 'inner' } })])
+})
+
+const panel = (view, intent) => ({
+  name: 'Panel',
+  components: { Button, Toolbar },
+  initialState: { events: [] },
+  intent,
+  model: {
+    RECORD: (state, event) => ({ ...state, events: [ ...state.events, event ] })
+  },
+  view
+})
+
+test('on maps sub-component events to actions of the parent', () => {
+  const harness = testComponent(panel(() => h('div', [
+    h('Button', { props: { id: 'save', label: 'Save' }, on: { pressed: 'RECORD' } }),
+    h('Button', { props: { id: 'undo', label: 'Undo', on: { pressed: 'RECORD' } } })
+  ])), { drivers: { EVENTS: { press: [true] } } })
+  try {
+    const events = harness.state.events.map(({ type, data, id, component }) => ({ type, data, id, component }))
+    assert.deepStrictEqual(events, [
+      { type: 'pressed', data: 'Save', id: 'save', component: 'Button' },
+      { type: 'pressed', data: 'Undo', id: 'undo', component: 'Button' }
+    ])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('the EMIT source selects events by component name or id', () => {
+  const view   = () => h('div', [h('Button', { props: { id: 'save', label: 'Save' } }), h('Button', { props: { id: 'undo', label: 'Undo' } })])
+  const intent = ({ EMIT }) => ({
+    RECORD: xs.merge(
+      EMIT.select('#save').events('pressed').map(event => `id: ${ event.data }`),
+      EMIT.select('Button').events('pressed').map(event => `name: ${ event.data }`)
+    )
+  })
+  const harness = testComponent(panel(view, intent), { drivers: { EVENTS: { press: [true] } } })
+  try {
+    assert.deepStrictEqual([ ...harness.state.events ].sort(), ['id: Save', 'name: Save', 'name: Undo'])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('events only go to the direct parent', () => {
+  const view   = () => h('div', [h('Button', { props: { id: 'save', label: 'Save' } }), h('Toolbar')])
+  const intent = ({ EMIT }) => ({
+    RECORD: EMIT.select('*').events('mounted').map(event => event.id)
+  })
+  const harness = testComponent(panel(view, intent))
+  try {
+    // the Button inside Toolbar emits 'mounted' too, but it stops at Toolbar
+    assert.deepStrictEqual(harness.state.events, ['save'])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('events from collection items carry the item key', () => {
+  const Item = component({
+    name: 'Item',
+    model: { MOUNT: { EMIT: (state) => ({ type: 'ready', data: state.label }) } },
+    view: ({ state }) => h('li', state.label)
+  })
+  const harness = testComponent({
+    name: 'List',
+    components: { Item },
+    initialState: { items: [{ id: 1, label: 'one' }, { id: 2, label: 'two' }], events: [] },
+    model: {
+      RECORD: (state, event) => ({ ...state, events: [ ...state.events, { key: event.itemKey, data: event.data } ] })
+    },
+    view: ({ state }) => h('ul', [
+      h('collection', { props: { component: 'Item', value: state.items, itemKey: item => item.id }, on: { ready: 'RECORD' } })
+    ])
+  })
+  try {
+    assert.deepStrictEqual(harness.state.events, [{ key: 1, data: 'one' }, { key: 2, data: 'two' }])
+  } finally {
+    harness.dispose()
+  }
+})
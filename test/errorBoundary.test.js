@@ -0,0 +1,99 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { component, testComponent, configureLogging, memoryTransport } = require('../dist/index.js')
+const { text } = require('./helpers.js')
+
+// caught errors are logged, so keep them out of the test output
+configureLogging({ transports: [memoryTransport()] })
+
+
+
+const Gauge = component({
+  name: 'Gauge',
+  model: {
+    BREAK: { LOG: () => { throw new Error('gauge broke') } }
+  },
+  intent: ({ EVENTS }) => ({ BREAK: EVENTS.select('break') }),
+  view: ({ state }) => h('span', `gauge ${ state.value }`)
+})
+
+const Row = component({
+  name: 'Row',
+  model: {
+    MOUNT: { LOG: (state) => { if (state.broken) throw new Error(`row ${ state.id } broke`) } }
+  },
+  view: ({ state }) => h('li', state.label)
+})
+
+const makePanel = (caught) => ({
+  name: 'Panel',
+  components: { Gauge, Row },
+  initialState: { fail: false, rows: [{ id: 1, label: 'one' }], errors: [] },
+  onError: (error, { component, action }) => caught.push({ message: error.message, component, action }),
+  fallback: ({ message }) => h('p', `failed: ${ message }`),
+  model: {
+    FAIL:            (state) => ({ ...state, fail: true }),
+    FIX:             (state) => ({ ...state, fail: false }),
+    ADD_BROKEN_ROW:  (state) => ({ ...state, rows: [ ...state.rows, { id: 2, label: 'two', broken: true } ] }),
+    COMPONENT_ERROR: (state, failure) => ({ ...state, errors: [ ...state.errors, failure.message ] })
+  },
+  view: ({ state }) => {
+    if (state.fail) throw new Error('view broke')
+    return h('div', [
+      h('Gauge', { props: { value: 3 } }),
+      h('ul', [h('collection', { props: { component: 'Row', value: state.rows } })])
+    ])
+  }
+})
+
+test('a view that throws renders the fallback and sends COMPONENT_ERROR', () => {
+  const caught  = []
+  const harness = testComponent(makePanel(caught))
+  try {
+    assert.strictEqual(text(harness.vdom), 'gauge 3one')
+    harness.dispatch('FAIL')
+    assert.strictEqual(text(harness.vdom), 'failed: view broke')
+    assert.deepStrictEqual(caught, [{ message: 'view broke', component: 'Panel', action: undefined }])
+    assert.deepStrictEqual(harness.state.errors, ['view broke'])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('RETRY renders the view again', () => {
+  const harness = testComponent(makePanel([]))
+  try {
+    harness.dispatch('FAIL')
+    harness.dispatch('FIX')
+    harness.dispatch('RETRY')
+    assert.strictEqual(text(harness.vdom), 'gauge 3one')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('errors in sub-component reducers reach the boundary', () => {
+  const caught  = []
+  const harness = testComponent(makePanel(caught), { drivers: { EVENTS: { break: [true] } } })
+  try {
+    assert.deepStrictEqual(caught, [{ message: 'gauge broke', component: 'Gauge', action: 'BREAK' }])
+    assert.strictEqual(text(harness.vdom), 'failed: gauge broke')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('errors in collection items reach the boundary of the component showing them', () => {
+  const caught  = []
+  const harness = testComponent(makePanel(caught))
+  try {
+    harness.dispatch('ADD_BROKEN_ROW')
+    assert.deepStrictEqual(caught, [{ message: 'row 2 broke', component: 'Row', action: 'MOUNT' }])
+    assert.strictEqual(text(harness.vdom), 'failed: row 2 broke')
+  } finally {
+    harness.dispose()
+  }
+})
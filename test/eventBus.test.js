@@ -0,0 +1,78 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { MessageChannel } = require('node:worker_threads')
+const xs = require('xstream').default
+const { makeEventBusDriver } = require('../dist/index.js')
+
+
+
+/**
+ * start an event bus driver
+ *
+ * @param {Object} options event bus options
+ * @return {Object} `{ bus, out$, emit(type, data) }` where `bus` is the driver's source and `out$` its sink
+ */
+function start(options) {
+  const out$ = xs.create()
+  const bus  = makeEventBusDriver(options)(out$)
+  return { bus, out$, emit: (type, data) => out$.shamefullySendNext({ type, data }) }
+}
+
+const collect = (stream$) => {
+  const results = []
+  stream$.addListener({ next: value => results.push(value), error: err => results.push(err) })
+  return results
+}
+
+test('wildcards match one segment with * and any number with **', () => {
+  const { bus, emit } = start()
+  const one  = collect(bus.select('cart.*'))
+  const any  = collect(bus.events('app.**').map(event => event.type))
+  const list = collect(bus.select(['a', 'b']))
+  emit('cart.add', 1)
+  emit('cart.item.remove', 2)
+  emit('app.user.login', 3)
+  emit('app', 4)
+  emit('b', 5)
+  assert.deepStrictEqual(one, [1])
+  assert.deepStrictEqual(any, ['app.user.login', 'app'])
+  assert.deepStrictEqual(list, [5])
+})
+
+test('replay sends the last matching event to late subscribers', () => {
+  const { bus, emit } = start({ replay: true })
+  emit('theme.set', 'light')
+  emit('theme.set', 'dark')
+  emit('user.set', 'ann')
+  assert.deepStrictEqual(collect(bus.select('theme.*')), ['dark'])
+  assert.deepStrictEqual(collect(bus.select('theme.*', { replay: false })), [])
+})
+
+test('ask() emits the reply to its request, or errors when none arrives in time', async () => {
+  const { bus, out$ } = start()
+  bus.events('price.lookup').addListener({ next: request => out$.shamefullySendNext(bus.reply(request, request.data * 2)) })
+  const price = await new Promise((resolve, reject) => bus.ask('price.lookup', 21).addListener({ next: resolve, error: reject }))
+  assert.strictEqual(price, 42)
+
+  const error = await new Promise(resolve => bus.ask('nobody.home', null, { timeout: 10 }).addListener({ error: resolve }))
+  assert.match(error.message, /Request 'nobody.home' timed out after 10ms/)
+})
+
+test('bridged buses share events without sending them back', async () => {
+  const { port1, port2 } = new MessageChannel()
+  const left  = start({ bridge: port1 })
+  const right = start({ bridge: port2 })
+  try {
+    const seenLeft  = collect(left.bus.select('chat.*'))
+    const seenRight = collect(right.bus.select('chat.*'))
+    left.emit('chat.message', 'hi')
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.deepStrictEqual(seenLeft, ['hi'])
+    assert.deepStrictEqual(seenRight, ['hi'])
+  } finally {
+    port1.close()
+    port2.close()
+  }
+})
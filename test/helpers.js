@@ -0,0 +1,53 @@
+'use strict'
+
+const xs = require('xstream').default
+
+
+
+/**
+ * get all of the text in a rendered virtual dom
+ *
+ * @param {Object} vnode virtual dom node (or text)
+ * @return {String} text of the node and its children, in order
+ */
+function text(vnode) {
+  if (!vnode) return ''
+  if (typeof vnode === 'string' || typeof vnode === 'number') return String(vnode)
+  return (vnode.text || '') + (vnode.children || []).map(text).join('')
+}
+
+/**
+ * wait for real time to pass (for apps started with run(), which use the real clock)
+ *
+ * @param {Number} ms milliseconds to wait
+ * @return {Promise} resolves once the time has passed
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * create an HTTP driver that records responses and lets tests send requests
+ *
+ * @return {Object} `{ driver, responses, send(path, fields) }` where `send()` returns the request id
+ *
+ * `fields` are added to the request (ex. `{ method: 'POST', body, ip }`), which is a GET by default
+ */
+function fakeServer() {
+  const incoming$ = xs.create()
+  const responses = []
+  let count = 0
+  const driver = (response$) => {
+    response$.addListener({ next: response => responses.push(response) })
+    const route = (method) => (path) => incoming$.filter(req => req.method === method && req.path === path)
+    return { get: route('GET'), post: route('POST') }
+  }
+  const send = (path, fields={}) => {
+    const id = `req-${ ++count }`
+    incoming$.shamefullySendNext({ id, method: 'GET', path, url: path, ...fields })
+    return id
+  }
+  return { driver, responses, send }
+}
+
+module.exports = { text, wait, fakeServer }
@@ -0,0 +1,119 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { component, run, createHistory, withHistory } = require('../dist/index.js')
+const { wait } = require('./helpers.js')
+
+
+
+const Counter = component({
+  name: 'Counter',
+  initialState: { count: 0 },
+  model: {
+    ADD: (state, amount) => ({ ...state, count: state.count + amount })
+  },
+  view: ({ state }) => h('div', String(state.count))
+})
+
+/**
+ * run the counter with a history recorder and send it some actions
+ *
+ * @param {Object} history recorder created with createHistory()
+ * @param {Array} amounts amounts to send ADD actions with
+ * @return {Promise} resolves to the running app
+ */
+async function start(history, amounts=[]) {
+  const app = run(withHistory(Counter, history), { mount: false })
+  await wait(20)
+  for (const amount of amounts) {
+    app.dispatch('ADD', amount)
+    await wait(20)
+  }
+  return app
+}
+
+const counts = (history) => history.entries.filter(entry => entry.type === 'ADD').map(entry => entry.after.count)
+
+test('state changes are recorded with the action and component that made them', async () => {
+  const history = createHistory()
+  const app     = await start(history, [2, 3])
+  try {
+    const added = history.entries.filter(entry => entry.type === 'ADD')
+    assert.deepStrictEqual(added.map(({ component, data, before, after }) => ({ component, data, before, after })), [
+      { component: 'Counter', data: 2, before: { count: 0 }, after: { count: 2 } },
+      { component: 'Counter', data: 3, before: { count: 2 }, after: { count: 5 } }
+    ])
+    assert.strictEqual(history.entries[0].type, 'INITIALIZE')
+  } finally {
+    app.dispose()
+  }
+})
+
+test('undo, redo and jumpTo move the app between recorded states', async () => {
+  const history = createHistory()
+  const app     = await start(history, [1, 1, 1])
+  try {
+    history.undo()
+    await wait(20)
+    assert.strictEqual(app.getState().count, 2)
+    history.jumpTo(0)
+    await wait(20)
+    assert.strictEqual(app.getState().count, 0)
+    history.redo()
+    await wait(20)
+    assert.strictEqual(app.getState().count, 1)
+    assert.throws(() => history.jumpTo(10), /Invalid history index/)
+
+    // a new change drops the entries that were undone
+    app.dispatch('ADD', 5)
+    await wait(20)
+    assert.deepStrictEqual(counts(history), [1, 6])
+    assert.strictEqual(history.canRedo, false)
+  } finally {
+    app.dispose()
+  }
+})
+
+test('only the newest entries are kept past the limit', async () => {
+  const history = createHistory({ limit: 2 })
+  const app     = await start(history, [1, 2, 3])
+  try {
+    assert.deepStrictEqual(history.entries.map(entry => entry.index), [0, 1])
+    assert.deepStrictEqual(counts(history), [3, 6])
+  } finally {
+    app.dispose()
+  }
+})
+
+test('exported logs replay their actions into a fresh app', async () => {
+  const recorded = createHistory()
+  const first    = await start(recorded, [4, 5])
+  const log      = recorded.toJSON()
+  first.dispose()
+
+  const replayed = createHistory()
+  const second   = await start(replayed)
+  try {
+    await replayed.replay(log, { interval: 10 })
+    await wait(20)
+    assert.strictEqual(second.getState().count, 9)
+    assert.deepStrictEqual(counts(replayed), [4, 9])
+  } finally {
+    second.dispose()
+  }
+})
+
+test('replaying states only sets the recorded states', async () => {
+  const recorded = createHistory()
+  const first    = await start(recorded, [1, 2])
+  const log      = recorded.toJSON()
+  first.dispose()
+
+  const states = createHistory()
+  await states.replay(log, { mode: 'states' })
+  assert.strictEqual(states.index, states.entries.length - 1)
+  assert.deepStrictEqual(states.state, { count: 3 })
+  assert.throws(() => createHistory().replay(log), /requires a history attached to a running app/)
+})
@@ -0,0 +1,76 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h, mockDOMSource } = require('@cycle/dom')
+const { component, run, hot } = require('../dist/index.js')
+const { text, wait } = require('./helpers.js')
+
+
+
+/**
+ * create a stand-in for a module's HMR API (`module.hot`) that can simulate re-running the module
+ *
+ * @return {Object} `{ api(), reload() }` where `api()` returns the API for the current run of the module
+ */
+function fakeModule() {
+  let data
+  let disposers = []
+  return {
+    api: () => ({ data, accept: () => {}, dispose: fn => disposers.push(fn) }),
+    reload: () => {
+      data = {}
+      disposers.splice(0).forEach(fn => fn(data))
+    }
+  }
+}
+
+test('edited components are rebuilt with the new definition and keep their state', async () => {
+  const module  = fakeModule()
+  const booted  = []
+  const Label   = component({ name: 'Label', view: ({ state }) => h('span', ` [${ state.text }]`) })
+  const define  = (version) => hot(component({
+    name: 'Counter',
+    initialState: { count: 0 },
+    components: { Label },
+    // BOOTSTRAP is only sent to components with an intent
+    intent: () => ({}),
+    model: {
+      BOOTSTRAP: { LOG: () => { booted.push(version) } },
+      ADD:       (state, amount) => ({ ...state, count: state.count + amount * version })
+    },
+    view: ({ state }) => h('div', [`v${ version }: ${ state.count }`, h('Label', { props: { text: 'label' } })])
+  }), module.api())
+
+  const vdoms   = []
+  const Counter = define(1)
+  const app     = run(Counter, { drivers: { DOM: vdom$ => { vdom$.addListener({ next: vdom => vdoms.push(vdom) }); return mockDOMSource({}) } } })
+  try {
+    await wait(30)
+    app.dispatch('ADD', 1)
+    await wait(30)
+    assert.strictEqual(text(vdoms[vdoms.length - 1]), 'v1: 1 [label]')
+
+    module.reload()
+    const replaced = define(10)
+    await wait(30)
+    // modules importing the first version get the same component
+    assert.strictEqual(replaced, Counter)
+    assert.strictEqual(text(vdoms[vdoms.length - 1]), 'v10: 1 [label]')
+
+    app.dispatch('ADD', 1)
+    await wait(30)
+    assert.deepStrictEqual(app.getState(), { count: 11 })
+    // the rebuilt component isn't bootstrapped again
+    assert.deepStrictEqual(booted, [1])
+  } finally {
+    app.dispose()
+  }
+})
+
+test('without an HMR API the component is returned as is', () => {
+  const Plain = component({ name: 'Plain', view: () => h('div') })
+  assert.strictEqual(hot(Plain), Plain)
+  assert.strictEqual(hot(Plain, {}), Plain)
+  assert.throws(() => hot(undefined, fakeModule().api()), /requires a component factory/)
+})
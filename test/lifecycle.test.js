@@ -0,0 +1,85 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { component, testComponent, configureLogging, memoryTransport } = require('../dist/index.js')
+const { text } = require('./helpers.js')
+
+const logged = memoryTransport()
+configureLogging({ transports: [logged] })
+
+
+
+const Panel = component({
+  name: 'Panel',
+  model: {
+    MOUNT:         { EVENTS: (state) => ({ type: 'mount', data: state.title }) },
+    PROPS_CHANGED: { EVENTS: (state, props) => ({ type: 'props', data: props.title }) },
+    UNMOUNT:       { EVENTS: (state) => ({ type: 'unmount', data: state.title }) }
+  },
+  view: ({ state }) => h('section', state.title)
+})
+
+const unmounted = []
+
+const Row = component({
+  name: 'Row',
+  model: {
+    UNMOUNT: { LOG: (state) => { unmounted.push(state.id) } }
+  },
+  view: ({ state }) => h('li', state.label)
+})
+
+const dashboard = {
+  name: 'Dashboard',
+  components: { Panel, Row },
+  initialState: { show: true, title: 'A', rows: [{ id: 1, label: 'one' }, { id: 2, label: 'two' }] },
+  model: {
+    TOGGLE: (state) => ({ ...state, show: !state.show }),
+    TITLE:  (state, title) => ({ ...state, title }),
+    REMOVE: (state, id) => ({ ...state, rows: state.rows.filter(row => row.id !== id) })
+  },
+  view: ({ state }) => h('div', [
+    state.show ? h('Panel', { props: { id: 'panel', title: state.title } }) : h('span', 'hidden'),
+    h('ul', [h('collection', { props: { component: 'Row', value: state.rows } })])
+  ])
+}
+
+const events = (harness) => harness.sinks.EVENTS.map(({ type, data }) => `${ type } ${ data }`)
+
+test('sub-components get MOUNT, PROPS_CHANGED and UNMOUNT', () => {
+  const harness = testComponent(dashboard)
+  try {
+    harness.dispatch('TITLE', 'B').dispatch('TITLE', 'B').dispatch('TOGGLE')
+    assert.deepStrictEqual(events(harness), ['mount A', 'props B', 'unmount B'])
+    assert.strictEqual(text(harness.vdom), 'hiddenonetwo')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('collection items removed from the list are unmounted', () => {
+  unmounted.length = 0
+  const harness = testComponent(dashboard)
+  try {
+    harness.dispatch('REMOVE', 1)
+    assert.strictEqual(text(harness.vdom), 'Atwo')
+    assert.deepStrictEqual(unmounted, [1])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('lifecycle state reducers in view-declared sub-components are reported in development', () => {
+  logged.clear()
+  const Ignored = component({ name: 'Ignored', model: { MOUNT: (state) => ({ ...state, ready: true }) }, view: () => h('p') })
+  const harness = testComponent({ name: 'Host', initialState: {}, components: { Ignored }, view: () => h('div', [h('Ignored')]) })
+  try {
+    const warnings = logged.records.filter(record => record.level === 'warn' && record.source === 'Ignored')
+    assert.strictEqual(warnings.length, 1)
+    assert.match(warnings[0].msg, /<MOUNT>/)
+  } finally {
+    harness.dispose()
+  }
+})
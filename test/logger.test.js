@@ -0,0 +1,84 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const xs = require('xstream').default
+const { createLogger, makeLogDriver, memoryTransport, fileTransport } = require('../dist/index.js')
+
+
+
+const start = (options) => {
+  const transport = memoryTransport()
+  return { transport, logger: createLogger({ ...options, transports: [transport] }) }
+}
+
+const messages = (transport) => transport.records.map(record => `${ record.level }:${ record.msg }`)
+
+test('records below the level are dropped, and the level can change at runtime', () => {
+  const { logger, transport } = start({ level: 'warn' })
+  logger.info('hidden')
+  logger.warn('shown')
+  logger.configure({ level: 'debug' })
+  logger.debug('now shown')
+  assert.deepStrictEqual(messages(transport), ['warn:shown', 'debug:now shown'])
+  assert.throws(() => logger.configure({ level: 'loud' }), /Invalid log level: loud/)
+})
+
+test('records are structured, children add fields, and errors are serialized', () => {
+  const { logger, transport } = start({ fields: { app: 'shop' } })
+  const child = logger.child({ component: 'Cart' })
+  child.error('failed', { action: 'ADD', error: new Error('boom'), skipped: undefined })
+  const { time, error, ...record } = transport.records[0]
+  assert.strictEqual(typeof time, 'string')
+  assert.deepStrictEqual(record, { level: 'error', msg: 'failed', app: 'shop', component: 'Cart', action: 'ADD' })
+  assert.deepStrictEqual([error.name, error.message, typeof error.stack], ['Error', 'boom', 'string'])
+})
+
+test('records can be limited to some components or exclude others', () => {
+  const { logger, transport } = start({ components: /^Cart/, exclude: ['CartItem'] })
+  logger.child({ component: 'Cart' }).info('cart')
+  logger.child({ component: 'CartItem' }).info('item')
+  logger.child({ component: 'Header' }).info('header')
+  logger.info('no component')
+  assert.deepStrictEqual(messages(transport), ['info:cart', 'info:no component'])
+})
+
+test('broken transports are skipped and objects with write() are accepted', () => {
+  const written = []
+  const logger  = createLogger({ transports: [() => { throw new Error('broken') }, { write: record => written.push(record.msg) }] })
+  logger.info('still logged')
+  assert.deepStrictEqual(written, ['still logged'])
+})
+
+test('the LOG driver logs strings as info and objects with their level and fields', () => {
+  const { logger, transport } = start({ level: 'debug' })
+  const log$ = xs.create()
+  makeLogDriver(logger)(log$)
+  log$.shamefullySendNext('plain')
+  log$.shamefullySendNext({ level: 'debug', message: 'detailed', _action: 'SAVE', _reqId: 'r1', user: 7 })
+  log$.shamefullySendNext({ level: 'nonsense', msg: 'fallback' })
+  assert.deepStrictEqual(messages(transport), ['info:plain', 'debug:detailed', 'info:fallback'])
+  const { action, requestId, user } = transport.records[1]
+  assert.deepStrictEqual({ action, requestId, user }, { action: 'SAVE', requestId: 'r1', user: 7 })
+})
+
+test('the file transport appends records as lines of JSON', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'log-')), 'app.log')
+  try {
+    const transport = fileTransport(file)
+    const logger    = createLogger({ transports: [transport] })
+    logger.info('one')
+    logger.warn('two', { code: 2 })
+    await transport.flush()
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    assert.deepStrictEqual(lines.map(({ level, msg, code }) => ({ level, msg, code })), [
+      { level: 'info', msg: 'one', code: undefined },
+      { level: 'warn', msg: 'two', code: 2 }
+    ])
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true })
+  }
+})
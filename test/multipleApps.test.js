@@ -0,0 +1,73 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h, mockDOMSource } = require('@cycle/dom')
+const { component, run } = require('../dist/index.js')
+const { wait } = require('./helpers.js')
+
+
+
+const Counter = component({
+  name: 'Counter',
+  initialState: { count: 0 },
+  model: {
+    ADD: (state, amount) => ({ ...state, count: state.count + amount })
+  },
+  view: ({ state }) => h('div', String(state.count))
+})
+
+/**
+ * DOM driver that records the text of every rendered view
+ *
+ * @param {Array} rendered list to add the rendered text to
+ * @return {Function} cycle driver
+ */
+const recordingDOM = (rendered) => (vdom$) => {
+  vdom$.addListener({ next: vdom => rendered.push(vdom.text) })
+  return mockDOMSource({})
+}
+
+test('apps started from the same component keep their own state', async () => {
+  const renderedOne = []
+  const renderedTwo = []
+  const one = run(Counter, { drivers: { DOM: recordingDOM(renderedOne) } })
+  const two = run(Counter, { drivers: { DOM: recordingDOM(renderedTwo) } })
+  try {
+    await wait(20)
+    one.dispatch('ADD', 1)
+    two.dispatch('ADD', 10)
+    two.dispatch('ADD', 10)
+    await wait(30)
+    assert.deepStrictEqual(one.getState(), { count: 1 })
+    assert.deepStrictEqual(two.getState(), { count: 20 })
+    assert.strictEqual(renderedOne[renderedOne.length - 1], '1')
+    assert.strictEqual(renderedTwo[renderedTwo.length - 1], '20')
+  } finally {
+    one.dispose()
+    two.dispose()
+  }
+})
+
+test('disposing one app leaves the others running, and a disposed app can be started again', async () => {
+  const one = run(Counter, { mount: false })
+  const two = run(Counter, { mount: false })
+  await wait(20)
+  one.dispose()
+  assert.throws(() => one.dispatch('ADD', 1), /app that has been disposed/)
+
+  two.dispatch('ADD', 2)
+  await wait(30)
+  assert.deepStrictEqual(two.getState(), { count: 2 })
+  two.dispose()
+
+  const again = run(Counter, { mount: false })
+  try {
+    await wait(20)
+    again.dispatch('ADD', 3)
+    await wait(30)
+    assert.deepStrictEqual(again.getState(), { count: 3 })
+  } finally {
+    again.dispose()
+  }
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { component, run, withPersistence, memoryStorage, configureLogging, memoryTransport } = require('../dist/index.js')
+const { wait } = require('./helpers.js')
+
+const logged = memoryTransport()
+configureLogging({ transports: [logged] })
+
+
+
+const KEY = 'cyclejs-component-state'
+
+const saved = (state, version=1) => JSON.stringify({ version, state })
+
+const Counter = component({
+  name: 'Counter',
+  initialState: { n: 0, draft: '' },
+  model: {
+    INC:   (state) => ({ ...state, n: state.n + 1 }),
+    DRAFT: (state, draft) => ({ ...state, draft })
+  },
+  view: ({ state }) => h('div', String(state.n))
+})
+
+const Child = component({
+  name: 'Child',
+  isolateOpts: 'counter',
+  initialState: { n: 0, step: 1 },
+  model: {
+    INC: (state) => ({ ...state, n: state.n + state.step })
+  },
+  view: ({ state }) => h('span', String(state.n))
+})
+
+test('saved state is in place before the first render, merged over initialState', async () => {
+  const storage = memoryStorage({ [KEY]: saved({ n: 5 }) })
+  const app     = run(withPersistence(Counter, { storage }), { mount: false })
+  try {
+    await wait(20)
+    assert.deepStrictEqual(app.getState(), { n: 5, draft: '' })
+  } finally {
+    app.dispose()
+  }
+})
+
+test('changes are saved once the debounce passes, keeping only the listed slices', async () => {
+  const storage = memoryStorage()
+  const app     = run(withPersistence(Counter, { storage, slices: ['n'], debounce: 30 }), { mount: false })
+  try {
+    await wait(20)
+    app.dispatch('INC')
+    app.dispatch('DRAFT', 'unsaved')
+    assert.strictEqual(storage.getItem(KEY), null)
+    await wait(60)
+    assert.deepStrictEqual(JSON.parse(storage.getItem(KEY)), { version: 1, state: { n: 1 } })
+  } finally {
+    app.dispose()
+  }
+})
+
+test('disposing the app saves changes still waiting on the debounce', async () => {
+  const storage = memoryStorage()
+  const app     = run(withPersistence(Counter, { storage, debounce: 10000 }), { mount: false })
+  await wait(20)
+  app.dispatch('INC')
+  await wait(20)
+  assert.strictEqual(storage.getItem(KEY), null)
+  app.dispose()
+  assert.deepStrictEqual(JSON.parse(storage.getItem(KEY)).state, { n: 1, draft: '' })
+})
+
+test('older saved state is migrated and newer saved state is ignored', async () => {
+  const migrations = { 2: (state) => ({ n: state.count }) }
+
+  const older = run(withPersistence(Counter, { storage: memoryStorage({ [KEY]: saved({ count: 3 }, 1) }), version: 2, migrations }), { mount: false })
+  const newer = run(withPersistence(Counter, { storage: memoryStorage({ [KEY]: saved({ n: 9 }, 3) }), version: 2, migrations }), { mount: false })
+  try {
+    await wait(20)
+    assert.strictEqual(older.getState().n, 3)
+    assert.strictEqual(newer.getState().n, 0)
+    assert.ok(logged.records.some(record => record.level === 'warn' && /newer than 2/.test(record.msg)))
+  } finally {
+    older.dispose()
+    newer.dispose()
+  }
+})
+
+test('state read asynchronously is merged in once it arrives', async () => {
+  const storage = memoryStorage({ [KEY]: saved({ n: 7 }) })
+  const slow    = { ...storage, getItem: (key) => wait(30).then(() => storage.getItem(key)) }
+  const app     = run(withPersistence(Counter, { storage: slow }), { mount: false })
+  try {
+    await wait(10)
+    assert.strictEqual(app.getState().n, 0)
+    app.dispatch('DRAFT', 'typed')
+    await wait(50)
+    assert.deepStrictEqual(app.getState(), { n: 7, draft: 'typed' })
+  } finally {
+    app.dispose()
+  }
+})
+
+test('isolated children keep their restored part of the state instead of resetting it to their initialState', async () => {
+  const storage = memoryStorage({ [KEY]: saved({ counter: { n: 42 } }) })
+  const app     = run(withPersistence(Child, { storage, debounce: 10 }), { mount: false })
+  try {
+    await wait(20)
+    assert.deepStrictEqual(app.getState(), { counter: { n: 42, step: 1 } })
+    app.dispatch('INC')
+    await wait(30)
+    assert.deepStrictEqual(JSON.parse(storage.getItem(KEY)).state, { counter: { n: 43, step: 1 } })
+  } finally {
+    app.dispose()
+  }
+})
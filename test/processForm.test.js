@@ -0,0 +1,85 @@
+'use strict'
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const xs = require('xstream').default
+const { processForm } = require('../dist/index.js')
+
+// processForm() reads forms with the browser's FormData, so stand in for it with one reading the fake forms below
+const NodeFormData = global.FormData
+before(() => global.FormData = class { constructor(form) { this.form = form } entries() { return this.form.entries[Symbol.iterator]() } })
+after(() => global.FormData = NodeFormData)
+
+
+
+/**
+ * create a fake form along with a DOM source selection for it
+ *
+ * @param {Array} defaults `[name, value]` pairs the form starts with
+ * @return {Object} `{ form, source, send(type, entries, name) }` where `send()` fires an event with the form holding `entries`
+ */
+function fakeForm(defaults=[]) {
+  const form = {
+    entries:       defaults,
+    elements:      defaults.map(([name, value]) => ({ name, type: 'text', defaultValue: value })),
+    querySelector: () => null
+  }
+  const events = {}
+  const source = { events: type => events[type] = events[type] || xs.create() }
+  const send   = (type, entries, name) => {
+    form.entries = entries
+    events[type].shamefullySendNext({ type, currentTarget: form, srcElement: form, target: { name }, preventDefault: () => {} })
+  }
+  return { form, source, send }
+}
+
+const collect = (stream$) => {
+  const results = []
+  stream$.addListener({ next: result => results.push(result) })
+  return results
+}
+
+test('without a schema, values are collected with repeated names as arrays', () => {
+  const { source, send } = fakeForm()
+  const results = collect(processForm(source))
+  send('input', [['name', 'Ann'], ['tag', 'a'], ['tag', 'b']], 'tag')
+  assert.strictEqual(results.length, 1)
+  const { event, ...values } = results[0]
+  assert.deepStrictEqual(values, { eventType: 'input', name: 'Ann', tag: ['a', 'b'] })
+})
+
+test('schemas coerce values and report errors and field state', () => {
+  const schema = {
+    age:   { type: 'number', required: true, min: 18 },
+    agree: { type: 'boolean' },
+    tags:  { type: 'array', of: 'number' },
+    name:  { maxLength: 3 }
+  }
+  const { source, send } = fakeForm([['age', ''], ['name', 'Al']])
+  const results = collect(processForm(source, { schema }))
+
+  send('input', [['age', '12'], ['agree', 'on'], ['tags', '1'], ['tags', '2'], ['name', 'Al']], 'age')
+  const typed = results[0]
+  assert.deepStrictEqual(typed.values, { age: 12, agree: true, tags: [1, 2], name: 'Al' })
+  assert.deepStrictEqual(typed.errors, { age: 'Must be at least 18' })
+  assert.deepStrictEqual(typed.fields.age, { value: 12, error: 'Must be at least 18', valid: false, dirty: true, touched: true })
+  assert.deepStrictEqual(typed.fields.name, { value: 'Al', error: null, valid: true, dirty: false, touched: false })
+  assert.strictEqual(typed.valid, false)
+
+  send('submit', [['age', 'x'], ['name', 'Alice']])
+  const submitted = results[1]
+  assert.deepStrictEqual(submitted.errors, { age: 'Must be a number', name: 'Must be at most 3 characters' })
+  assert.strictEqual(Object.values(submitted.fields).every(field => field.touched), true)
+})
+
+test('async validators emit again once they finish', async () => {
+  const schema = { username: { required: true, validate: name => Promise.resolve(name === 'taken' ? 'That name is taken' : undefined) } }
+  const { source, send } = fakeForm()
+  const results = collect(processForm(source, { schema }))
+
+  send('input', [['username', 'taken']], 'username')
+  assert.deepStrictEqual(results.map(result => [result.validating, result.valid]), [[true, false]])
+  await new Promise(resolve => setImmediate(resolve))
+  assert.deepStrictEqual(results.map(result => [result.validating, result.valid]), [[true, false], [false, false]])
+  assert.strictEqual(results[1].errors.username, 'That name is taken')
+})
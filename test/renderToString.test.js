@@ -0,0 +1,58 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { component, run, renderToString } = require('../dist/index.js')
+const { wait } = require('./helpers.js')
+
+
+
+const Greeting = component({
+  name: 'Greeting',
+  initialState: { who: 'nobody', loaded: false },
+  // BOOTSTRAP is only sent to components with an intent
+  intent: () => ({}),
+  model: {
+    BOOTSTRAP: () => Promise.resolve(state => ({ ...state, loaded: true }))
+  },
+  view: ({ state }) => h('div#greeting.card', { class: { ready: state.loaded }, style: { fontSize: '12px' }, attrs: { title: `"${ state.who }"` } }, [
+    h('p', `Hello <${ state.who }>`),
+    h('input', { props: { value: state.who, disabled: true } })
+  ])
+})
+
+const Counter = component({
+  name: 'Counter',
+  isolateOpts: 'counter',
+  initialState: { n: 0, step: 1 },
+  model: {},
+  view: ({ state }) => h('span', String(state.n))
+})
+
+test('the settled view is rendered to escaped HTML along with the state', async () => {
+  const { html, state } = await renderToString(Greeting, { initialState: { who: 'Ann & Bob' } })
+  assert.strictEqual(html, '<div id="greeting" title="&quot;Ann &amp; Bob&quot;" class="card ready" style="font-size: 12px"><p>Hello &lt;Ann &amp; Bob&gt;</p><input value="Ann &amp; Bob" disabled></div>')
+  assert.strictEqual(state.who, 'Ann & Bob')
+  assert.strictEqual(state.loaded, true)
+})
+
+test('the snapshot script escapes the state so it can be embedded in a page', async () => {
+  const { script, serializedState } = await renderToString(Greeting, { initialState: { who: '</script>' }, snapshotKey: 'SNAPSHOT' })
+  assert.ok(!serializedState.includes('</script>'))
+  assert.ok(script.startsWith('<script>window["SNAPSHOT"] = {'))
+  assert.deepStrictEqual(JSON.parse(serializedState).who, '</script>')
+})
+
+test('run() starts from the snapshot, including the parts owned by isolated children', async () => {
+  global.window = { __CYCLEJS_COMPONENT_STATE__: { counter: { n: 3 } } }
+  const app = run(Counter, { mount: false })
+  try {
+    await wait(20)
+    assert.deepStrictEqual(app.getState(), { counter: { n: 3, step: 1 } })
+    assert.strictEqual(global.window.__CYCLEJS_COMPONENT_STATE__, undefined)
+  } finally {
+    app.dispose()
+    delete global.window
+  }
+})
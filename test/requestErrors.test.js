@@ -0,0 +1,102 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { testComponent, configureLogging, memoryTransport } = require('../dist/index.js')
+const { fakeServer } = require('./helpers.js')
+
+// failed requests are logged as errors, so keep them out of the test output
+configureLogging({ transports: [memoryTransport()] })
+
+
+
+const api = (extra={}) => ({
+  name: 'Api',
+  initialState: { errors: [] },
+  requestTimeout: 1000,
+  request: {
+    get: {
+      '/ok':     'OK',
+      '/throws': 'THROWS',
+      '/reject': 'REJECT',
+      '/fn':     (state, req) => Promise.reject(Object.assign(new Error('nope'), { statusCode: 418 })),
+      '/slow':   'SLOW',
+      '/slower': { action: 'SLOW', timeout: 5000 },
+      '/late':   'LATE'
+    }
+  },
+  model: {
+    OK:     { HTTP: () => ({ command: 'send', data: 'ok' }) },
+    THROWS: { HTTP: () => { throw Object.assign(new Error('bad input'), { status: 400 }) } },
+    REJECT: { HTTP: () => Promise.reject(new Error('db down')) },
+    SLOW:   (state) => state,
+    LATE:   { HTTP: () => new Promise(resolve => setTimeout(() => resolve({ command: 'send', data: 'late' }), 1500)) },
+    ERROR:  (state, error) => ({ ...state, errors: [ ...state.errors, [error.status, error.action] ] }),
+    ...extra
+  }
+})
+
+const start = (definition) => {
+  const server  = fakeServer()
+  const harness = testComponent(definition, { drivers: { HTTP: server.driver } })
+  return { harness, server }
+}
+
+const responseTo = (server, id) => server.responses.filter(response => response._reqId === id).map(({ command, data }) => ({ command, data }))
+
+test('failing routes and reducers get error responses with their status', async () => {
+  const { harness, server } = start(api())
+  try {
+    const ok     = server.send('/ok')
+    const throws = server.send('/throws')
+    const reject = server.send('/reject')
+    const fn     = server.send('/fn')
+    await new Promise(resolve => setImmediate(resolve))
+    harness.flush()
+    assert.deepStrictEqual(responseTo(server, ok), [{ command: 'send', data: 'ok' }])
+    assert.deepStrictEqual(responseTo(server, throws), [{ command: 'error', data: { status: 400, message: 'bad input' } }])
+    assert.deepStrictEqual(responseTo(server, reject), [{ command: 'error', data: { status: 500, message: 'db down' } }])
+    assert.deepStrictEqual(responseTo(server, fn), [{ command: 'error', data: { status: 418, message: 'nope' } }])
+    // each failure fires an ERROR action (async failures in whatever order they settle)
+    assert.deepStrictEqual([ ...harness.state.errors ].sort(), [[400, 'THROWS'], [418, 'FUNCTION'], [500, 'REJECT']])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('requests without a response time out with a 504, using the route timeout when set', async () => {
+  const { harness, server } = start(api())
+  try {
+    const slow   = server.send('/slow')
+    const slower = server.send('/slower')
+    const late   = server.send('/late')
+    harness.advance(999)
+    assert.deepStrictEqual(server.responses, [])
+    harness.advance(1)
+    assert.deepStrictEqual(responseTo(server, slow), [{ command: 'error', data: { status: 504, message: 'Request timed out after 1000ms' } }])
+    assert.deepStrictEqual(responseTo(server, slower), [])
+
+    // responses arriving after the timeout are dropped
+    harness.advance(600)
+    await new Promise(resolve => setImmediate(resolve))
+    harness.flush()
+    assert.deepStrictEqual(responseTo(server, late), [{ command: 'error', data: { status: 504, message: 'Request timed out after 1000ms' } }])
+
+    harness.advance(3400)
+    assert.deepStrictEqual(responseTo(server, slower), [{ command: 'error', data: { status: 504, message: 'Request timed out after 5000ms' } }])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('an ERROR entry for the request sink replaces the default error response', () => {
+  const custom = { ERROR: { HTTP: (state, error) => ({ command: 'json', data: { status: error.status, body: { problem: error.message } } }) } }
+  const { harness, server } = start(api(custom))
+  try {
+    const throws = server.send('/throws')
+    harness.flush()
+    assert.deepStrictEqual(responseTo(server, throws), [{ command: 'json', data: { status: 400, body: { problem: 'bad input' } } }])
+  } finally {
+    harness.dispose()
+  }
+})
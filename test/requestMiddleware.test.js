@@ -0,0 +1,99 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { testComponent, accessLog, rateLimit, createLogger, configureLogging, memoryTransport } = require('../dist/index.js')
+const { fakeServer } = require('./helpers.js')
+
+// error responses are logged, so keep them out of the test output
+configureLogging({ transports: [memoryTransport()] })
+
+
+
+const settle = (harness) => new Promise(resolve => setImmediate(resolve)).then(() => harness.flush())
+
+const start = (definition) => {
+  const server  = fakeServer()
+  const harness = testComponent({ name: 'Api', initialState: {}, ...definition }, { drivers: { HTTP: server.driver } })
+  return { harness, server }
+}
+
+const responseTo = (server, id) => server.responses.filter(response => response._reqId === id).map(({ command, data }) => ({ command, data }))
+
+test('component middleware runs before route middleware and can change what the action receives', async () => {
+  const order = []
+  const { harness, server } = start({
+    middleware: [
+      (ctx) => { order.push(['first', ctx.req.path]) },
+      (ctx) => { order.push(['second', ctx.req.path]); ctx.data = { ...ctx.data, user: 'ann' } }
+    ],
+    request: {
+      post: {
+        '/orders': { action: 'CREATE', middleware: (ctx) => new Promise(resolve => { order.push(['route', ctx.req.path]); resolve() }) },
+        '/echo':   (state, req, data) => data
+      }
+    },
+    // route function results are turned into responses here
+    response: ({ select }) => ({ json: select('FUNCTION') }),
+    model: {
+      CREATE: { HTTP: (state, order) => ({ command: 'json', data: order }) }
+    }
+  })
+  try {
+    const created = server.send('/orders', { method: 'POST', body: { item: 'tea' } })
+    const echoed  = server.send('/echo', { method: 'POST', body: { n: 1 } })
+    await settle(harness)
+    assert.deepStrictEqual(responseTo(server, created), [{ command: 'json', data: { item: 'tea', user: 'ann' } }])
+    assert.deepStrictEqual(responseTo(server, echoed), [{ command: 'json', data: { n: 1, user: 'ann' } }])
+    // requests are handled side by side, so check the order for each one
+    const steps = (path) => order.filter(step => step[1] === path).map(step => step[0])
+    assert.deepStrictEqual(steps('/orders'), ['first', 'second', 'route'])
+    assert.deepStrictEqual(steps('/echo'), ['first', 'second'])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('middleware can respond early or fail the request', async () => {
+  const handled = []
+  const { harness, server } = start({
+    request: {
+      get: {
+        '/private': { action: 'SECRET', middleware: (ctx) => ctx.respond('error', { status: 401, message: 'Please log in' }) },
+        '/broken':  { action: 'SECRET', middleware: () => Promise.reject(Object.assign(new Error('nope'), { status: 403 })) }
+      }
+    },
+    model: {
+      SECRET: { HTTP: () => { handled.push('secret'); return { command: 'send', data: 'secret' } } }
+    }
+  })
+  try {
+    const blocked = server.send('/private')
+    const broken  = server.send('/broken')
+    await settle(harness)
+    assert.deepStrictEqual(responseTo(server, blocked), [{ command: 'error', data: { status: 401, message: 'Please log in' } }])
+    assert.deepStrictEqual(responseTo(server, broken), [{ command: 'error', data: { status: 403, message: 'nope' } }])
+    assert.deepStrictEqual(handled, [])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('rateLimit() turns away clients over the limit and accessLog() logs each request', async () => {
+  const records = memoryTransport()
+  const { harness, server } = start({
+    middleware: [accessLog({ logger: createLogger({ transports: [records] }) }), rateLimit({ max: 2, windowMs: 60000 })],
+    request: { get: { '/status': 'STATUS' } },
+    model: { STATUS: { HTTP: () => ({ command: 'send', data: 'up' }) } }
+  })
+  try {
+    const ids   = [1, 2, 3].map(() => server.send('/status', { ip: '10.0.0.1' }))
+    const other = server.send('/status', { ip: '10.0.0.2' })
+    await settle(harness)
+    assert.deepStrictEqual(ids.map(id => responseTo(server, id)[0].data), ['up', 'up', { status: 429, message: 'Too Many Requests' }])
+    assert.deepStrictEqual(responseTo(server, other)[0].data, 'up')
+    assert.deepStrictEqual(records.records.map(record => [record.component, record.msg]), Array(4).fill(['access', 'GET /status']))
+  } finally {
+    harness.dispose()
+  }
+})
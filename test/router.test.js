@@ -0,0 +1,93 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { component, testComponent, makeRouterDriver, matchRoute } = require('../dist/index.js')
+const { text } = require('./helpers.js')
+
+
+
+const Home = component({ name: 'Home', view: () => h('p', 'home') })
+
+const Profile = component({ name: 'Profile', view: () => h('p', 'profile') })
+const Posts   = component({ name: 'Posts', view: () => h('p', 'posts') })
+
+const UserPage = component({
+  name: 'UserPage',
+  components: { Profile, Posts },
+  routes: {
+    '/':      'Profile',
+    '/posts': 'Posts'
+  },
+  view: ({ page }) => h('section', [page])
+})
+
+const NotFound = component({ name: 'NotFound', view: () => h('p', 'not found') })
+
+const app = {
+  name: 'App',
+  initialState: {},
+  components: { Home, UserPage, NotFound },
+  routes: {
+    '/':            'Home',
+    '/users/:id/*': 'UserPage',
+    '*':            'NotFound'
+  },
+  model: {
+    OPEN_USER: { ROUTER: (state, id) => `/users/${ id }` },
+    BACK:      { ROUTER: () => 'back' }
+  },
+  view: ({ state, page }) => h('main', [h('h1', (state.route && state.route.params.id) || '-'), page])
+}
+
+const start = (initialPath) => testComponent(app, { drivers: { ROUTER: makeRouterDriver({ history: 'memory', initialPath }) } })
+
+test('matchRoute() reads params and the rest of nested paths', () => {
+  assert.deepStrictEqual(matchRoute('/users/:id', '/users/7'), { params: { id: '7' }, matched: '/users/7', rest: '/' })
+  assert.deepStrictEqual(matchRoute('/users/:id/*', '/users/7/posts/1').rest, '/posts/1')
+  assert.strictEqual(matchRoute('/users/:id', '/users/7/posts'), null)
+  assert.deepStrictEqual(matchRoute('*', '/anything').params, {})
+})
+
+test('the matched component is rendered as page and the route is stored in state', () => {
+  const harness = start('/users/7?tab=info')
+  try {
+    assert.strictEqual(text(harness.vdom), '7profile')
+    assert.strictEqual(harness.state.route.pattern, '/users/:id/*')
+    assert.deepStrictEqual(harness.state.route.query, { tab: 'info' })
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('routed components can declare routes for the rest of the path', () => {
+  const harness = start('/users/7/posts')
+  try {
+    assert.strictEqual(text(harness.vdom), '7posts')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('paths sent to the ROUTER sink navigate, and back returns to the previous page', () => {
+  const harness = start('/')
+  try {
+    assert.strictEqual(text(harness.vdom), '-home')
+    harness.dispatch('OPEN_USER', 3)
+    assert.strictEqual(text(harness.vdom), '3profile')
+    harness.dispatch('BACK')
+    assert.strictEqual(text(harness.vdom), '-home')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('paths matching no other route fall through to the catch-all', () => {
+  const harness = start('/missing')
+  try {
+    assert.strictEqual(text(harness.vdom), '-not found')
+  } finally {
+    harness.dispose()
+  }
+})
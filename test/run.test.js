@@ -0,0 +1,97 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const xs = require('xstream').default
+const { h, mockDOMSource } = require('@cycle/dom')
+const { component, run } = require('../dist/index.js')
+const { wait } = require('./helpers.js')
+
+
+
+const Counter = component({
+  name: 'Counter',
+  initialState: { count: 0, label: 'count' },
+  model: {
+    ADD:  (state, amount) => ({ ...state, count: state.count + amount }),
+    SAVE: { EVENTS: (state) => ({ type: 'saved', data: state.count }) }
+  },
+  view: ({ state }) => h('div', `${ state.label }: ${ state.count }`)
+})
+
+test("initialState replaces the root component's initialState", async () => {
+  const app = run(Counter, { mount: false, initialState: { count: 5, label: 'total' } })
+  try {
+    await wait(20)
+    assert.deepStrictEqual(app.getState(), { count: 5, label: 'total' })
+  } finally {
+    app.dispose()
+  }
+})
+
+test('stateName changes the state channel and the default state source of components', async () => {
+  const app = run(Counter, { mount: false, stateName: 'STORE' })
+  try {
+    await wait(20)
+    app.dispatch({ type: 'ADD', data: 2 })
+    await wait(30)
+    assert.deepStrictEqual(app.getState(), { count: 2, label: 'count' })
+  } finally {
+    app.dispose()
+  }
+})
+
+test('drivers are added to or replace the defaults, which can be turned off', async () => {
+  const events   = []
+  const rendered = []
+  const app = run(Counter, {
+    disableDefaultDrivers: ['LOG'],
+    drivers: {
+      EVENTS: (event$) => { event$.addListener({ next: event => events.push(event) }); return { select: () => xs.never() } },
+      DOM:    (vdom$) => { vdom$.addListener({ next: vdom => rendered.push(vdom.text) }); return mockDOMSource({}) }
+    }
+  })
+  try {
+    await wait(20)
+    app.dispatch('SAVE')
+    await wait(30)
+    assert.deepStrictEqual(events.map(event => event.data), [0])
+    assert.strictEqual(rendered[rendered.length - 1], 'count: 0')
+  } finally {
+    app.dispose()
+  }
+})
+
+test('actionMiddleware applies to every component in the app', async () => {
+  const seen = []
+  const app  = run(Counter, { mount: false, actionMiddleware: (action, ctx) => { seen.push(`${ ctx.component }:${ action.type }`) } })
+  try {
+    await wait(20)
+    app.dispatch('ADD', 1)
+    await wait(30)
+    assert.ok(seen.includes('Counter:ADD'))
+  } finally {
+    app.dispose()
+  }
+})
+
+test('options are checked, and the handle disposes the app when called', async () => {
+  assert.throws(() => run(Counter, { mount: false, drivers: {}, HTTP: () => {} }), /Unknown run\(\) option: HTTP/)
+
+  const app = run(Counter, { mount: false })
+  await wait(20)
+  assert.throws(() => app.dispatch({ data: 1 }), /requires an action type/)
+  app()
+  assert.throws(() => app.dispatch('ADD', 1), /app that has been disposed/)
+})
+
+test('an object of drivers is still accepted in place of options', async () => {
+  const rendered = []
+  const app = run(Counter, { DOM: (vdom$) => { vdom$.addListener({ next: vdom => rendered.push(vdom.text) }); return mockDOMSource({}) } })
+  try {
+    await wait(20)
+    assert.strictEqual(rendered[rendered.length - 1], 'count: 0')
+  } finally {
+    app.dispose()
+  }
+})
@@ -0,0 +1,109 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { testComponent, configureLogging, memoryTransport } = require('../dist/index.js')
+
+const logged = memoryTransport()
+configureLogging({ transports: [logged] })
+
+
+
+const violations = () => logged.records.filter(record => record.level === 'error' && /^Schema violation/.test(record.msg)).map(record => record.errors)
+
+const counter = {
+  name: 'Counter',
+  initialState: { clicks: 0, label: 'count' },
+  stateSchema: {
+    clicks: { type: 'integer', min: 0 },
+    label:  'string',
+    tags:   ['string']
+  },
+  actions: {
+    ADD: { type: 'number', required: true }
+  },
+  model: {
+    ADD:  (state, amount) => ({ ...state, clicks: state.clicks + amount }),
+    TAG:  (state, tag) => ({ ...state, tags: [ ...(state.tags || []), tag ] })
+  }
+}
+
+test('state is checked each time a reducer returns', () => {
+  logged.clear()
+  const harness = testComponent(counter)
+  try {
+    harness.dispatch('ADD', 1).dispatch('ADD', -3).dispatch('TAG', 7)
+    assert.deepStrictEqual(violations(), [
+      ['state.clicks should be at least 0'],
+      ['state.clicks should be at least 0', 'state.tags[0] should be a string but got a number']
+    ])
+    // checks only report problems, the state still changes
+    assert.strictEqual(harness.state.clicks, -2)
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('action data is checked each time an action is dispatched', () => {
+  logged.clear()
+  const harness = testComponent({ ...counter, stateSchema: undefined })
+  try {
+    harness.dispatch('ADD', '2').dispatch('ADD')
+    assert.deepStrictEqual(violations(), [
+      ['ADD data should be a number but got a string'],
+      ['ADD data is required']
+    ])
+    assert.strictEqual(logged.records.find(record => /^Schema violation/.test(record.msg)).action, 'ADD')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('props are checked as they arrive and missing props get their defaults', () => {
+  logged.clear()
+  const button = {
+    name: 'Button',
+    propsSchema: {
+      label: { type: 'string', required: true },
+      size:  { type: 'string', oneOf: ['sm', 'md', 'lg'], default: 'md' },
+      tags:  { type: 'array', default: () => [] }
+    },
+    view: ({ state }) => h('button', `${ state.label }:${ state.size }:${ state.tags.length }`)
+  }
+  const valid = testComponent(button, { props: { label: 'Save' } })
+  try {
+    assert.strictEqual(valid.vdom.text, 'Save:md:0')
+    assert.deepStrictEqual(violations(), [])
+  } finally {
+    valid.dispose()
+  }
+  const invalid = testComponent(button, { props: { size: 'xl' } })
+  try {
+    assert.deepStrictEqual(violations(), [[
+      'props.label is required',
+      'props.size should be one of "sm", "md", "lg" but got "xl"'
+    ]])
+  } finally {
+    invalid.dispose()
+  }
+})
+
+test('shapes can have a field called type and nest other shapes', () => {
+  logged.clear()
+  const harness = testComponent({
+    name: 'Notice',
+    initialState: { type: 'info', nested: { count: 1 } },
+    stateSchema: { type: { type: 'string', oneOf: ['info', 'error'] }, nested: { shape: { count: 'integer' } } },
+    model: { KIND: (state, type) => ({ ...state, type, nested: { count: 1.5 } }) }
+  })
+  try {
+    harness.dispatch('KIND', 'warning')
+    assert.deepStrictEqual(violations(), [[
+      'state.type should be one of "info", "error" but got "warning"',
+      'state.nested.count should be an integer but got a number'
+    ]])
+  } finally {
+    harness.dispose()
+  }
+})
@@ -0,0 +1,120 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const http = require('node:http')
+const { component, run, makeServerDriver, configureLogging, memoryTransport } = require('../dist/index.js')
+
+configureLogging({ transports: [memoryTransport()] })
+
+
+
+const Api = component({
+  name: 'Api',
+  initialState: { users: { 1: { id: 1, name: 'Ann' } } },
+  request: {
+    get:  { '/users/:id': 'GET_USER', '/cookie': 'COOKIE' },
+    post: { '/users': 'CREATE', '/echo': 'ECHO' }
+  },
+  model: {
+    GET_USER: { HTTP: (state, body, next, req) => ({ command: 'json', data: state.users[req.params.id] || null }) },
+    CREATE: {
+      STATE: (state, body) => ({ ...state, users: { ...state.users, [body.id]: body } }),
+      HTTP:  (state, body) => ({ command: 'json', data: { status: 201, body } })
+    },
+    ECHO:   { HTTP: (state, body) => ({ command: 'send', data: body }) },
+    COOKIE: { HTTP: (state, body, next, req) => ({ command: 'send', data: { headers: { 'X-Seen': req.cookies.a }, cookies: { b: { value: 'x y', httpOnly: true } }, body: 'ok' } }) }
+  }
+})
+
+/**
+ * start the Api component on a free port
+ *
+ * @param {Object} options server driver options
+ * @return {Promise} resolves to `{ url, stop }`
+ */
+function start(options={}) {
+  const server = http.createServer()
+  return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+    const app = run(Api, { mount: false, disableDefaultDrivers: ['DOM'], drivers: { HTTP: makeServerDriver({ ...options, server }) } })
+    const stop = () => {
+      app.dispose()
+      return new Promise(resolve => server.close(resolve))
+    }
+    return { url: `http://127.0.0.1:${ server.address().port }`, port: server.address().port, stop }
+  })
+}
+
+test('requests are routed to actions with their params, and JSON bodies are parsed', async () => {
+  const { url, stop } = await start()
+  try {
+    const created = await fetch(`${ url }/users`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ id: 2, name: 'Bob' }) })
+    assert.strictEqual(created.status, 201)
+    assert.deepStrictEqual(await created.json(), { id: 2, name: 'Bob' })
+
+    const found = await fetch(`${ url }/users/2`)
+    assert.strictEqual(found.status, 200)
+    assert.deepStrictEqual(await found.json(), { id: 2, name: 'Bob' })
+  } finally {
+    await stop()
+  }
+})
+
+test('unknown routes get a 404 and invalid JSON bodies a 400', async () => {
+  const { url, stop } = await start()
+  try {
+    const missing = await fetch(`${ url }/nope`)
+    assert.strictEqual(missing.status, 404)
+    assert.deepStrictEqual(await missing.json(), { error: 'Not Found' })
+
+    const invalid = await fetch(`${ url }/users`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{bad' })
+    assert.strictEqual(invalid.status, 400)
+    assert.deepStrictEqual(await invalid.json(), { error: 'Invalid JSON body' })
+  } finally {
+    await stop()
+  }
+})
+
+test('responses can set headers and cookies, and read request cookies', async () => {
+  const { url, stop } = await start()
+  try {
+    const res = await fetch(`${ url }/cookie`, { headers: { cookie: 'a=1' } })
+    assert.strictEqual(res.headers.get('x-seen'), '1')
+    assert.strictEqual(res.headers.get('set-cookie'), 'b=x%20y; Path=/; HttpOnly')
+    assert.strictEqual(await res.text(), 'ok')
+  } finally {
+    await stop()
+  }
+})
+
+test('bodies over the limit get a 413 response instead of a reset connection', async () => {
+  const { url, stop } = await start({ bodyLimit: 10 })
+  try {
+    const small = await fetch(`${ url }/echo`, { method: 'POST', body: 'hello' })
+    assert.strictEqual(await small.text(), 'hello')
+
+    const large = await fetch(`${ url }/echo`, { method: 'POST', body: 'x'.repeat(100000) })
+    assert.strictEqual(large.status, 413)
+    assert.deepStrictEqual(await large.json(), { error: 'Request body too large' })
+  } finally {
+    await stop()
+  }
+})
+
+test('streamed bodies without a length get a 413 once they pass the limit', async () => {
+  const { port, stop } = await start({ bodyLimit: 10 })
+  try {
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, path: '/echo', method: 'POST' }, res => {
+        res.resume()
+        resolve(res.statusCode)
+      })
+      req.on('error', reject)
+      for (let i = 0; i < 50; i++) req.write('x'.repeat(1000))
+      req.end()
+    })
+    assert.strictEqual(status, 413)
+  } finally {
+    await stop()
+  }
+})
@@ -0,0 +1,72 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { h } = require('@cycle/dom')
+const { component, testComponent } = require('../dist/index.js')
+const { text } = require('./helpers.js')
+
+
+
+const A = component({ name: 'A', view: ({ state }) => h('p', `A ${ state.label }`) })
+const B = component({ name: 'B', view: ({ state }) => h('p', `B ${ state.label }`) })
+
+const tabs = {
+  name: 'Tabs',
+  initialState: { current: 'a', label: 'x' },
+  model: {
+    SET:   (state, current) => ({ ...state, current }),
+    LABEL: (state, label) => ({ ...state, label })
+  },
+  view: ({ state }) => h('div', [
+    h('h1', 'tabs'),
+    h('switchable', { props: { components: { a: A, b: B }, current: state.current, state: { label: state.label } } })
+  ])
+}
+
+test('switchable elements render the current component', () => {
+  const harness = testComponent(tabs)
+  try {
+    assert.strictEqual(text(harness.vdom), 'tabsA x')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('switchable elements follow changes to current', () => {
+  const harness = testComponent(tabs)
+  try {
+    harness.dispatch('SET', 'b')
+    assert.strictEqual(text(harness.vdom), 'tabsB x')
+    harness.dispatch('SET', 'a')
+    assert.strictEqual(text(harness.vdom), 'tabsA x')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('switchable elements without a state prop follow changes to current', () => {
+  const harness = testComponent({
+    ...tabs,
+    view: ({ state }) => h('div', [h('switchable', { props: { components: { a: A, b: B }, current: state.current } })])
+  })
+  try {
+    assert.strictEqual(text(harness.vdom), 'A x')
+    harness.dispatch('SET', 'b')
+    assert.strictEqual(text(harness.vdom), 'B x')
+    harness.dispatch('SET', 'a')
+    assert.strictEqual(text(harness.vdom), 'A x')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('switchable elements pass state to the current component', () => {
+  const harness = testComponent(tabs)
+  try {
+    harness.dispatch('SET', 'b').dispatch('LABEL', 'y')
+    assert.strictEqual(text(harness.vdom), 'tabsB y')
+  } finally {
+    harness.dispose()
+  }
+})
@@ -0,0 +1,96 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const xs = require('xstream').default
+const { h } = require('@cycle/dom')
+const { testComponent } = require('../dist/index.js')
+const { text } = require('./helpers.js')
+
+
+
+const counter = {
+  name: 'Counter',
+  initialState: { count: 0 },
+  intent: ({ DOM }) => ({ INCREMENT: DOM.select('.increment').events('click').mapTo(1) }),
+  model: {
+    INCREMENT: (state, amount) => ({ count: state.count + amount }),
+    SAVE:      { HTTP: (state) => ({ url: '/count', send: state }) }
+  },
+  view: ({ state }) => h('h1', `Count: ${ state.count }`)
+}
+
+test('dispatch() runs actions to completion and records states and renders', () => {
+  const harness = testComponent(counter)
+  try {
+    harness.dispatch('INCREMENT', 2).dispatch('INCREMENT', 3)
+    assert.deepStrictEqual(harness.states, [{ count: 0 }, { count: 2 }, { count: 5 }])
+    assert.strictEqual(text(harness.vdom), 'Count: 5')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('sinks other than state and DOM are recorded', () => {
+  const harness = testComponent(counter, { initialState: { count: 7 } })
+  try {
+    harness.dispatch('SAVE')
+    assert.strictEqual(harness.sinks.HTTP.length, 1)
+    assert.strictEqual(harness.sinks.HTTP[0].url, '/count')
+    assert.deepStrictEqual(harness.sinks.HTTP[0].send, { count: 7 })
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('mock DOM configurations feed intent', () => {
+  const harness = testComponent(counter, { drivers: { DOM: { '.increment': { click: xs.of(true, true) } } } })
+  try {
+    assert.strictEqual(harness.state.count, 2)
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('props become the state of components without initialState', () => {
+  const harness = testComponent({ view: ({ state }) => h('p', state.label) }, { props: { label: 'hello' } })
+  try {
+    assert.strictEqual(text(harness.vdom), 'hello')
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('timers only fire when advance() moves time past them', () => {
+  const harness = testComponent({
+    name: 'Clock',
+    initialState: { ticks: 0, bye: false },
+    timers: {
+      TICK: { every: 1000 },
+      BYE:  { after: 5000 }
+    },
+    model: {
+      TICK:  (state) => ({ ...state, ticks: state.ticks + 1 }),
+      BYE:   (state) => ({ ...state, bye: true }),
+      OTHER: (state) => state
+    }
+  })
+  try {
+    harness.dispatch('OTHER')
+    assert.deepStrictEqual(harness.state, { ticks: 0, bye: false })
+    harness.advance(3500)
+    assert.deepStrictEqual(harness.state, { ticks: 3, bye: false })
+    harness.advance(1500)
+    assert.deepStrictEqual(harness.state, { ticks: 5, bye: true })
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('dispose() restores the real timer functions', () => {
+  const original = globalThis.setTimeout
+  const harness  = testComponent(counter)
+  assert.notStrictEqual(globalThis.setTimeout, original)
+  harness.dispose()
+  assert.strictEqual(globalThis.setTimeout, original)
+})
@@ -0,0 +1,140 @@
+'use strict'
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const xs = require('xstream').default
+const { testComponent } = require('../dist/index.js')
+
+
+
+const typed = (intent) => {
+  const input$ = xs.create()
+  const harness = testComponent({
+    name: 'Search',
+    initialState: { searches: [] },
+    intent: ({ EVENTS }) => ({ SEARCH: intent(EVENTS.select('input')) }),
+    model: {
+      SEARCH: (state, text) => ({ ...state, searches: [ ...state.searches, text ] })
+    }
+  }, { drivers: { EVENTS: { input: input$ } } })
+  const type = (text) => input$.shamefullySendNext(text)
+  return { harness, type }
+}
+
+test('timers send actions every and after a number of milliseconds', () => {
+  const harness = testComponent({
+    name: 'Clock',
+    initialState: { ticks: 0, bye: false },
+    timers: {
+      TICK: { every: 1000 },
+      BYE:  { after: 2500 }
+    },
+    model: {
+      TICK: (state) => ({ ...state, ticks: state.ticks + 1 }),
+      BYE:  (state) => ({ ...state, bye: true })
+    }
+  })
+  try {
+    harness.advance(2000)
+    assert.deepStrictEqual(harness.state, { ticks: 2, bye: false })
+    harness.advance(1000)
+    assert.deepStrictEqual(harness.state, { ticks: 3, bye: true })
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('timer data and when can be functions of state', () => {
+  const harness = testComponent({
+    name: 'Poller',
+    initialState: { paused: false, polls: [] },
+    timers: {
+      POLL: { every: 100, data: (state) => state.polls.length, when: (state) => !state.paused }
+    },
+    model: {
+      POLL:  (state, count) => ({ ...state, polls: [ ...state.polls, count ] }),
+      PAUSE: (state) => ({ ...state, paused: true })
+    }
+  })
+  try {
+    harness.advance(300)
+    harness.dispatch('PAUSE')
+    harness.advance(300)
+    assert.deepStrictEqual(harness.state.polls, [0, 1, 2])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('restartOn starts a timer over', () => {
+  const harness = testComponent({
+    name: 'Session',
+    initialState: { expired: false },
+    timers: {
+      EXPIRE: { after: 1000, restartOn: 'ACTIVITY' }
+    },
+    model: {
+      EXPIRE:   (state) => ({ ...state, expired: true }),
+      ACTIVITY: (state) => state
+    }
+  })
+  try {
+    harness.advance(800)
+    harness.dispatch('ACTIVITY')
+    harness.advance(800)
+    assert.strictEqual(harness.state.expired, false)
+    harness.advance(300)
+    assert.strictEqual(harness.state.expired, true)
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('debounce sends the last value once the stream has been quiet', () => {
+  const { harness, type } = typed(from => ({ from, debounce: 300 }))
+  try {
+    type('c')
+    harness.advance(100)
+    type('ca')
+    harness.advance(100)
+    type('cat')
+    harness.advance(200)
+    assert.deepStrictEqual(harness.state.searches, [])
+    harness.advance(200)
+    assert.deepStrictEqual(harness.state.searches, ['cat'])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('throttle ignores values for a while after sending one', () => {
+  const { harness, type } = typed(from => ({ from, throttle: 300 }))
+  try {
+    type('c')
+    harness.advance(100)
+    type('ca')
+    harness.advance(300)
+    type('cat')
+    harness.advance(100)
+    assert.deepStrictEqual(harness.state.searches, ['c', 'cat'])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('once only lets the first value through', () => {
+  const { harness, type } = typed(from => ({ from, once: true }))
+  try {
+    type('c')
+    type('ca')
+    harness.advance(100)
+    assert.deepStrictEqual(harness.state.searches, ['c'])
+  } finally {
+    harness.dispose()
+  }
+})
+
+test('invalid timers and modifiers throw', () => {
+  assert.throws(() => testComponent({ name: 'Bad', initialState: {}, timers: { TICK: { every: 1000, after: 10 } }, model: { TICK: s => s } }), /needs either 'every' or 'after'/)
+  assert.throws(() => typed(from => ({ from, wait: 10 })), /Unknown modifier for <SEARCH>: wait/)
+})